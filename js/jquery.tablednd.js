@@ -21,25 +21,174 @@
  *     is class is tDnD_whileDrag. So to use the default, simply customise this CSS class in your
  *     stylesheet.
  * onDrop
- *     Pass a function that will be called when the row is dropped. The function takes 2 parameters: the table
- *     and the row that was dropped. You can work out the new order of the rows by using
- *     table.rows.
+ *     Pass a function that will be called when the row is dropped. The function takes 4 parameters: the table,
+ *     the row that was dropped, an array of all the rows that were moved (see multiSelect) and the move, which
+ *     says what changed (see $.tableDnD.lastMove()). You can work out the new order of the rows by using
+ *     table.rows, or send just the move to the server.
  * onDragStart
  *     Pass a function that will be called when the user starts dragging. The function takes 2 parameters: the
  *     table and the row which the user has started to drag.
+ * mode
+ *     'live' (the default) moves the dragged row through the table as the mouse moves. With 'indicator' the
+ *     row stays where it is, dimmed, while a copy of it follows the pointer and a placeholder row shows where
+ *     it will land. The row is only moved when it is dropped, which is a lot lighter on big tables.
+ * placeholder
+ *     The placeholder row for indicator mode, as html or as a function that gets the dragged row and returns
+ *     one. If it has a single cell, that cell spans all the columns. Style it (as a full row or as a thin
+ *     line) with CSS, the default has the class tDnD_placeholder.
+ * helper
+ *     Set to true to have a copy of the dragged rows follow the pointer, in a table of its own with the same
+ *     column widths. Or pass a function that gets the dragged rows and the table and returns what to show
+ *     instead (html or elements), to show something like "3 items". Indicator mode always has a helper, a
+ *     function changes what it shows. The helper has the class tDnD_helper.
+ * dimmedStyle
+ *     The style of the dragged rows while they wait in their old place in indicator mode, the default is
+ *     {opacity: 0.5}.
+ * animation
+ *     Set it to have the rows slide out of the way of the dragged row and the dropped row settle into its
+ *     place. Give true for {duration: 150, easing: 'ease'}, an object with the duration in milliseconds and
+ *     any CSS easing, or just a duration. The default false has the rows jump like they always have (the
+ *     dropped rows then fade in if there is an onDrop). Visitors who asked their system for reduced motion
+ *     never see the slides.
+ * onBeforeDrop
+ *     Pass a function that will be called when a row is dropped and the order has changed, before onDrop. The
+ *     function takes 3 parameters: the table the row was dropped into, the row and an info object with the
+ *     rows that were moved (rows) and the tables they came from (from) and went to (to). Return false to put
+ *     the rows back where they were, or return a promise (or jQuery Deferred) to decide later, a rejected
+ *     promise or one that resolves to false puts them back. Until it settles the rows have the pendingClass
+ *     and the table can't be dragged. onDragCancel is called when the rows are put back.
+ * pendingClass
+ *     The class of the dropped rows while onBeforeDrop makes up its mind, the default is tDnD_pending.
+ * onDragCancel
+ *     Pass a function that will be called when a drag is cancelled and the row has been put back where it was.
+ *     The function takes 2 parameters: the table and the row. A drag is cancelled by pressing escape, by
+ *     $.tableDnD.cancel() or by dropping outside the table if revertOnOutsideDrop is set. onDrop isn't called.
+ * revertOnOutsideDrop
+ *     Set to true to cancel the drag when the row is dropped outside the table (and any connected tables).
  * onAllowDrop
  *     Pass a function that will be called as a row is over another row. If the function returns true, allow
- *     dropping on that row, otherwise not. The function takes 2 parameters: the dragged row and the row under
- *     the cursor. It returns a boolean: true allows the drop, false doesn't allow it.
+ *     dropping on that row, otherwise not. The function takes 3 parameters: the dragged row, the row under
+ *     the cursor and the table that row is in. When the row is over an empty connected table the second
+ *     parameter is null. It returns a boolean: true allows the drop, false doesn't allow it.
+ * headerRows
+ *     The rows of thead and tfoot can't be dragged and nothing can be dropped amongst them. Set this to true to
+ *     treat them like any other row, as older versions did.
+ * connectBodies
+ *     Set to true to let rows be dragged from one tbody of the table into another, by default they stay in the
+ *     tbody they're in.
+ * serializeBodies
+ *     Set to true to serialize every tbody on its own: the ids of its rows are listed under the id of the tbody,
+ *     or if it hasn't got one under the table's id and its index, <tableID>[0][]=<rowID1>&<tableID>[1][]=...
+ * connectWith
+ *     Lets rows be dragged out of this table and dropped into other tables. Give a jQuery selector for the
+ *     tables (or tbodies) to connect with, or a group name: all tables that have the same connectWith name
+ *     are connected to each other. A plain name, just letters, digits, - and _, is a group name and anything
+ *     else a selector. Set it on every table the rows may come from.
+ * onRemove
+ *     Pass a function that will be called when a row has been dropped into another table. The function takes
+ *     3 parameters: this table, the row and the table it went to.
+ * onReceive
+ *     Pass a function that will be called when a row from another table has been dropped into this one. The
+ *     function takes 3 parameters: this table, the row and the table it came from. onDrop is called as well,
+ *     it gets the table the row was dropped into.
  * scrollAmount
- *     This is the number of pixels to scroll if the user moves the mouse cursor to the top or bottom of the
- *     window. The page should automatically scroll up or down as appropriate (tested in IE6, IE7, Safari, FF2,
- *     FF3 beta
+ *     The fastest the page scrolls while a row is dragged near its edge, in pixels per frame. Scrolling starts
+ *     slowly when the pointer comes within scrollZone of an edge and speeds up the closer it gets. It keeps
+ *     going while the pointer is held still, in both directions and sideways too. Set it to 0 to switch
+ *     auto-scrolling off.
+ * scrollZone
+ *     How close to the edge, in pixels, the pointer has to be for auto-scrolling to start, the default is 40.
+ * scrollContainer
+ *     What to scroll, as an element or a jQuery selector. By default it is the nearest element around the table
+ *     that scrolls (such as a panel with overflow: auto) or else the window.
+ * largeTable
+ *     Tables with this many rows or more (200 by default) measure their rows once when the drag starts and keep
+ *     the positions up to date as rows move, the row under the pointer is then found by a binary search and
+ *     the rows move at most once per animation frame. Smaller tables look at every row on every move, as they
+ *     always have.
  * dragHandle
  *     This is a jQuery mach string for one or more cells in each row that is draggable. If you
  *     specify this, then you are responsible for setting cursor: move in the CSS and only these cells
  *     will have the drag behaviour. If you do not specify a dragHandle, then you get the old behaviour where
  *     the whole row is draggable.
+ * cancel
+ *     A jQuery selector for the elements in a row (or handle) that never start a drag, so that they keep
+ *     working as usual. The default is form controls, buttons, links and editable content. Pressing anything
+ *     else in the row, text, icons or header cells, starts a drag. Text can't be selected while a row is being
+ *     dragged, but it can be the rest of the time.
+ * multiSelect
+ *     Set to true to let the user select several rows: a click selects a row, ctrl/cmd-click adds or removes a
+ *     row and shift-click selects a range. Dragging any of the selected rows moves them all together as one
+ *     block, keeping their order. $("...").tableDnD('selectedRows') returns the selected rows.
+ * selectedClass
+ *     The class that marks the selected rows, the default is tDnD_selected.
+ * keyboard
+ *     Set to true to allow reordering with the keyboard. The rows (or handle cells) can then be focused, space or
+ *     enter picks the row up, the up and down arrows move it, left and right indent and outdent it (in hierarchy
+ *     mode), space or enter drops it and escape puts it back. onDragStart and onDrop are called just like for a
+ *     mouse drag and every step is announced to screen readers. Rows added later need tableDnDUpdate() to be
+ *     focusable.
+ * keyboardMessages
+ *     The texts used for the keyboard instructions and announcements, {row}, {position}, {total} and {level} are
+ *     replaced. The row is named after its aria-label or the text of its first cell.
+ * indentMode
+ *     How hierarchy mode shows the level of a row. 'artifact' (the default) prepends an indentArtifact to the
+ *     indentCell for every level. The other modes never add or remove anything in the cells, so they are safe
+ *     for cells that hold checkboxes, icons and the like: 'padding' adds indentSize pixels of left padding per
+ *     level to the indentCell, 'variable' sets the CSS variable --tDnD-level to the level on the indentCell for
+ *     a rule like td { padding-left: calc(var(--tDnD-level, 0) * 1.5em) } and 'none' leaves it all to
+ *     onLevelChange.
+ * indentCell
+ *     A selector for the cell of a row that shows its level, the default is td:first.
+ * indentSize
+ *     The padding per level in pixels in padding mode, the default is 20.
+ * onLevelChange
+ *     Pass a function that will be called whenever a row, or the placeholder, gets another level, in any
+ *     indentMode. It takes 2 parameters: the row and its new level, so that it can draw the level itself.
+ * moveSubtree
+ *     Set to true in hierarchy mode to have a row take the rows below it with a higher level, its children and
+ *     their children, along when it is dragged. They move, indent and outdent together with it and stay where
+ *     they are relative to it, so a row can't be dropped inside its own subtree.
+ * collapsible
+ *     Set to true in hierarchy mode to give the rows a toggle, next to their indentation, that collapses and
+ *     expands the rows below them. A collapsed row has the collapsedClass, put it on rows in the html to have them
+ *     start collapsed. The rows below are only hidden, tableData() and serialize() still include them. A
+ *     collapsed row that a dragged row rests on for expandDelay milliseconds expands, and so do the rows a row is
+ *     dropped under.
+ * toggleTemplate
+ *     The html of the toggle, it gets the class tDnD_toggle. Rows with children have the class tDnD_parent, so
+ *     that the toggle can be shown as an arrow that turns with the collapsedClass, see tablednd.css. Only the
+ *     artifact indentMode adds toggles, in the others put an element with the class tDnD_toggle in the rows.
+ * collapsedClass
+ *     The class of the collapsed rows, the default is tDnD_collapsed.
+ * expandDelay
+ *     How long a dragged row has to rest on a collapsed row before it expands, 700 milliseconds by default.
+ * onAllowIndent
+ *     In hierarchy mode, pass a function that is asked before a dragged row is indented or outdented and when it
+ *     is dropped at a level other than 0. It gets the row, the row that becomes its parent (null at level 0)
+ *     and the new level, return false to keep the row where it is, or to put it back on a drop. Rows can also
+ *     carry their own rules: a row with a data-leaf attribute can't have children and a row with a
+ *     data-maxlevel can't go deeper than that level. A drop that leaves any row, dropped or not, under a leaf
+ *     row or too deep is put back, autoCleanRelations doesn't rewrite levels to get round the rules.
+ * idAttribute
+ *     The attribute that holds the id of a row for parentAttribute, data-id by default.
+ * parentAttribute
+ *     In hierarchy mode rows can name their parent row, by its idAttribute, in this attribute (data-parent by
+ *     default) instead of carrying a data-level. The rows are then put in depth-first order, every row under its
+ *     parent and after the rows it had before it, and get their levels from it. Rows without a parent in the
+ *     table are top level rows. Once a body row carries a parentAttribute the parentAttribute of every row is
+ *     rewritten after each drop and indent, and removed from the top level rows, so it always reflects the
+ *     current tree. Tables without one keep the levels of their data-level. Set it to null to leave the
+ *     attributes alone.
+ * dragThreshold
+ *     How far, in pixels, the mouse has to move with the button down before the row is dragged. The default 0
+ *     starts the drag as soon as the button goes down, like it always has.
+ * touchDelay
+ *     How long, in milliseconds, a finger has to rest on a row before it can be dragged, 300 by default. A finger
+ *     that moves before then scrolls the page as usual. Set it to 0 to drag straight away, the page can't be
+ *     scrolled by touching the rows then.
+ * disabled
+ *     Set to true to stop the rows from being dragged, see also $("...").tableDnD('disable').
  *
  * Other ways to control behaviour:
  *
@@ -53,16 +202,74 @@
  * Other methods:
  *
  * $("...").tableDnDUpdate()
- * Will update all the matching tables, that is it will reapply the mousedown method to the rows (or handle cells).
- * This is useful if you have updated the table rows using Ajax and you want to make the table draggable again.
+ * Rows (or handle cells) that are added, removed or replaced later are draggable without doing anything, the
+ * mousedown is handled by the table itself. In hierarchy mode this will indent the rows that were added using
+ * Ajax since the table was set up, it can be called as often as you like as rows are only indented once.
  * The table maintains the original configuration (so you don't have to specify it again).
  *
  * $("...").tableDnDSerialize()
  * Will serialize and return the serialized string as above, but for each of the matching tables--so it can be
  * called from anywhere and isn't dependent on the currentTable being set up correctly before calling
  *
- * Known problems:
- * - Auto-scoll has some problems with IE7  (it scrolls even when it shouldn't), work-around: set scrollAmount to 0
+ * $("...").tableDnDData(options) and $.tableDnD.jsonize(pretify, table, format)
+ * Return the order of the rows as data or as JSON. By default that is the map that serialize() sends, the ids
+ * of the rows under the table's id and in hierarchy mode under the id of their parent. Pass {format: 'tree'}
+ * (or just 'tree') for nested [{id, children: [...]}], or {format: 'parents'} for a flat list of
+ * [{id, parent, position, level}] where parent is null for top level rows and position counts from 0 amongst
+ * the rows with the same parent. The ids go through serializeRegexp, and with serializeBodies every tbody
+ * has its own list.
+ *
+ * $("...").tableDnD('applyOrder', data)
+ * Puts the rows in a saved order, given in any of the formats tableDnDData() returns or as the JSON jsonize()
+ * makes of it, to reset a view or replay a saved layout. The ids are matched after serializeRegexp and in
+ * hierarchy mode the rows get the levels that go with the order. Rows the order doesn't list go to the end, at
+ * the top level. It returns {missing: [...], unknown: [...]}, the ids of the rows that weren't in the order and
+ * the ids in the order that no row has, for the first of the tables when it is given several.
+ *
+ * $("...").tableDnD('destroy')
+ * Removes the drag and drop behaviour from the matching tables again: the event handlers, the indentation and
+ * the styles the plug-in added are all taken off.
+ *
+ * $("...").tableDnD('disable') and $("...").tableDnD('enable')
+ * Stop and start the rows from being dragged, the configuration is kept.
+ *
+ * Events:
+ *
+ * Besides the callbacks above, which take a single function, the table triggers jQuery events that any
+ * number of handlers can listen to with $(table).on('tablednd:drop', function (e, detail) {...}). Once the
+ * row is in a connected table that table gets them too:
+ *     tablednd:dragstart  a drag starts
+ *     tablednd:move       the row moved to another position
+ *     tablednd:indent     the row changed level (hierarchy mode)
+ *     tablednd:beforedrop the row is about to be dropped at a new position
+ *     tablednd:drop       the row was dropped at a new position
+ *     tablednd:cancel     the drag was cancelled or the drop refused, the row is back where it was
+ * Calling e.preventDefault() in a handler for the first four stops the drag, the move, the indent or the drop
+ * (which puts the row back). The detail, also found as e.detail, has the row, the rows moved along with it,
+ * the sourceTable and targetTable, the oldIndex and newIndex amongst the body rows, the oldLevel and
+ * newLevel and the oldParent and newParent ids. The detail of tablednd:drop also has the move. The callbacks
+ * are called just as before.
+ *
+ * $.tableDnD.lastMove(format, table) or $("...").tableDnD('lastMove', format)
+ * Returns what the latest drop (of any table, or of the given one) changed, so that the server can apply that
+ * instead of rewriting the whole order: the id of the dropped row and the ids of all the rows moved with it,
+ * the oldTable and newTable ids, the oldIndex and newIndex amongst the body rows, the oldParent and newParent
+ * ids (null at the top level), the oldLevel and newLevel and the ids of the rows it landed between, before
+ * and after (null at either end). The ids go through serializeRegexp. Pass 'params' to get it as a query
+ * string or 'json' to get it as JSON. It is null until a row has been dropped somewhere new.
+ *
+ * $.tableDnD.cancel() or $("...").tableDnD('cancel')
+ * Cancels the drag in progress, the rows go back to the positions and levels they had when it started.
+ *
+ * $("...").tableDnD('option', name[, value]) or $("...").tableDnD('option', {name: value, ...})
+ * Gets or sets configuration options after the table has been set up. Options such as dragHandle or
+ * hierarchyLevel are applied to the table straight away. Calling tableDnD(options) again on a table does the same.
+ *
+ * $("...").data('tableDnD')
+ * Returns the controller of the table. Every table has its own, holding its configuration and the state of
+ * any drag in progress, so several tables on a page don't get in each other's way. It offers serialize(),
+ * jsonize(), tableData() and initialiseDrag(row, target, event) for the table it controls. $.tableDnD hands
+ * its calls on to these controllers.
  *
  * Version 0.2: 2008-02-20 First public version
  * Version 0.3: 2008-02-07 Added onDragStart option
@@ -79,18 +286,14 @@
  * Version 0.7  2012-04-09 Now works with jQuery 1.7 and supports touch, tidied up tabs and spaces
  */
 !function ($, window, document, undefined) {
-// Determine if this is a touch device
-var hasTouch   = 'ontouchstart' in document.documentElement,
-    startEvent = hasTouch ? 'touchstart' : 'mousedown',
-    moveEvent  = hasTouch ? 'touchmove'  : 'mousemove',
-    endEvent   = hasTouch ? 'touchend'   : 'mouseup';
-
-// If we're on a touch device, then wire up the events
-// see http://stackoverflow.com/a/8456194/1316086
-hasTouch
-    && $.each("touchstart touchmove touchend".split(" "), function(i, name) {
-        $.event.fixHooks[name] = $.event.mouseHooks;
-    });
+// Pointer events cover the mouse, touch and pens alike. Where there are none we listen to both mouse and touch
+// events, as a laptop with a touch screen has both
+var hasPointer = !!window.PointerEvent,
+    startEvent = hasPointer ? 'pointerdown' : 'mousedown touchstart',
+    moveEvent  = hasPointer ? 'pointermove' : 'mousemove touchmove',
+    endEvent   = hasPointer ? 'pointerup pointercancel' : 'mouseup touchend touchcancel',
+    // Every one of them in our namespace, so that taking them off the table leaves the page's own handlers alone
+    tableStartEvent = startEvent.replace(/\S+/g, '$&.tableDnD');
 
 
 $(document).ready(function () {
@@ -111,7 +314,7 @@ $(document).ready(function () {
                 onDragClass: $(this).data('ondragclass') == undefined && "tDnD_whileDrag" || $(this).data('ondragclass'),
                 onDrop: $(this).data('ondrop') && new Function('table', 'row', $(this).data('ondrop')), // 'return eval("'+$(this).data('ondrop')+'");') || null,
                 onDragStart: $(this).data('ondragstart') && new Function('table', 'row' ,$(this).data('ondragstart')), // 'return eval("'+$(this).data('ondragstart')+'");') || null,
-                scrollAmount: $(this).data('scrollamount') || 5,
+                scrollAmount: $(this).data('scrollamount') || defaults.scrollAmount,
                 sensitivity: $(this).data('sensitivity') || 10,
                 hierarchyLevel: $(this).data('hierarchylevel') || 0,
                 indentArtifact: $(this).data('indentartifact') || '<div class="indent">&nbsp;</div>',
@@ -128,161 +331,1410 @@ $(document).ready(function () {
     });
 });
 
-window.jQuery.tableDnD = {
-    /** Keep hold of the current table being dragged */
-    currentTable: null,
+/** The defaults for every table, override them by passing options to tableDnD() */
+var defaults = {
+    onDragStyle: null,
+    onDropStyle: null,
+    // Add in the default class for whileDragging
+    onDragClass: "tDnD_whileDrag",
+    onDrop: null,
+    onDragStart: null,
+    /** The most pixels to scroll by per frame, right at the edge */
+    scrollAmount: 20,
+    /** How far from the edge auto-scrolling starts */
+    scrollZone: 40,
+    /** The element to auto-scroll, by default the nearest one around the table that scrolls, or the window */
+    scrollContainer: null,
+    /** Sensitivity setting will throttle the trigger rate for movement detection */
+    sensitivity: 10,
+    /** From this many rows on the row positions are cached and the moves throttled to one per frame */
+    largeTable: 200,
+    /** Hierarchy level to support parent child. 0 switches this functionality off */
+    hierarchyLevel: 0,
+    /** The html artifact to prepend the first cell with as indentation */
+    indentArtifact: '<div class="indent">&nbsp;</div>',
+    /** How the levels are shown: 'artifact', 'padding', 'variable' or 'none' */
+    indentMode: 'artifact',
+    /** The cell of a row that shows its level */
+    indentCell: 'td:first',
+    /** The padding per level in padding mode, in pixels */
+    indentSize: 20,
+    /** Called with every row that gets another level */
+    onLevelChange: null,
+    /** Drag a row together with its children, in hierarchy mode */
+    moveSubtree: false,
+    /** Give the rows with children a toggle that collapses them, in hierarchy mode */
+    collapsible: false,
+    /** The html of the toggle */
+    toggleTemplate: '<span class="tDnD_toggle"></span>',
+    /** The class of the collapsed rows */
+    collapsedClass: "tDnD_collapsed",
+    /** How long a dragged row has to rest on a collapsed row to expand it */
+    expandDelay: 700,
+    /** Asked whether a row may get a parent and level, in hierarchy mode */
+    onAllowIndent: null,
+    /** The attribute with the id of a row */
+    idAttribute: 'data-id',
+    /** The attribute with the id of the parent of a row, in hierarchy mode */
+    parentAttribute: 'data-parent',
+    /** Automatically adjust width of first cell */
+    autoWidthAdjust: true,
+    /** Automatic clean-up to ensure relationship integrity */
+    autoCleanRelations: true,
+    /** Specify a number (4) as number of spaces or any indent string for JSON.stringify */
+    jsonPretifySeparator: '\t',
+    /** The regular expression to use to trim row IDs */
+    serializeRegexp: /[^\-]*$/,
+    /** If you want to specify another parameter name instead of the table ID */
+    serializeParamName: false,
+    /** If you give the name of a class here, then only Cells with this class will be draggable */
+    dragHandle: null,
+    /** The elements inside a row that don't start a drag */
+    cancel: 'input, textarea, select, option, button, a, [contenteditable]',
+    /** Set to true to switch dragging off */
+    disabled: false,
+    /** Let the rows in thead and tfoot be dragged and dropped on */
+    headerRows: false,
+    /** Let rows move from one tbody of the table to another */
+    connectBodies: false,
+    /** Serialize the rows of every tbody separately */
+    serializeBodies: false,
+    /** A selector or group name of other tables the rows may be dropped into */
+    connectWith: null,
+    /** Allow several rows to be selected and dragged together */
+    multiSelect: false,
+    /** The class of the selected rows */
+    selectedClass: "tDnD_selected",
+    /** Allow rows to be picked up and moved with the keyboard */
+    keyboard: false,
+    /** What is read out to screen reader users during keyboard reordering */
+    keyboardMessages: {
+        instructions: "Press space or enter to pick the row up, the arrow keys to move it, space to drop it and escape to cancel.",
+        pickedUp:     "Row {row} picked up, position {position} of {total}.",
+        moved:        "Row {row} moved to position {position} of {total}.",
+        level:        "Row {row} moved to level {level}.",
+        dropped:      "Row {row} dropped at position {position} of {total}.",
+        cancelled:    "Row {row} returned to position {position} of {total}."
+    },
+    /** Cancel the drag when the row is dropped outside the table */
+    revertOnOutsideDrop: false,
+    /** Called before onDrop, may refuse the drop by returning false or a promise */
+    onBeforeDrop: null,
+    /** The class of the dropped rows while onBeforeDrop hasn't decided yet */
+    pendingClass: "tDnD_pending",
+    /** 'live' moves the row as you drag, 'indicator' shows a placeholder and moves the row on drop */
+    mode: 'live',
+    /** The row that shows where the drop will be in indicator mode, html or a function(row) */
+    placeholder: '<tr class="tDnD_placeholder"><td>&nbsp;</td></tr>',
+    /** The style of the rows left behind in indicator mode */
+    dimmedStyle: {opacity: 0.5},
+    /** How far the mouse has to move before the drag starts */
+    dragThreshold: 0,
+    /** How long a touch has to be held before the drag starts, so that touches can still scroll the page */
+    touchDelay: 300,
+    /** Have a copy of the rows follow the pointer, true or a function(rows, table) that renders it */
+    helper: false,
+    /** Slide the rows into place, true, {duration, easing} or a duration */
+    animation: false
+};
+
+/** Runs a function before the next repaint, or a moment later where there is no requestAnimationFrame */
+var requestFrame = window.requestAnimationFrame
+        ? function (callback) { return window.requestAnimationFrame(callback); }
+        : function (callback) { return setTimeout(callback, 16); },
+    cancelFrame  = window.cancelAnimationFrame
+        ? function (id) { window.cancelAnimationFrame(id); }
+        : function (id) { clearTimeout(id); };
+
+/** The methods that read something, called by name they give the value for the first table instead of the chain */
+var getters = ['option', 'lastMove', 'jsonize', 'serialize', 'serializeTable', 'tableData'];
+
+/** Numbers the elements we create, so they can have unique ids */
+var uid = 0;
+
+/** What the latest drop, of any table, changed */
+var lastMove = null,
+    /** A move as it is, or as a query string ('params') or JSON ('json') */
+    formatMove = function (move, format) {
+        if (!move || !format)
+            return move;
+        return format == 'json' ? JSON.stringify(move) : $.param(move);
+    };
+
+/** Keeps the keyboard help text and announcements off screen but still readable */
+var visuallyHidden = {
+    position: 'absolute',
+    left: '-10000px',
+    width: '1px',
+    height: '1px',
+    overflow: 'hidden'
+};
+
+/**
+ * The controller for a single table. Every table set up with tableDnD() gets its own instance which
+ * holds the configuration and the state of any drag in progress, it can be found with
+ * $(table).data('tableDnD').
+ */
+function TableDnD(table, options) {
+    /** The table this instance controls */
+    this.table         = table;
     /** Keep hold of the current drag object if any */
-    dragObject: null,
+    this.dragObject    = null;
+    /** All the rows being dragged, the drag object and the rest of the selection */
+    this.dragRows      = [];
+    /** The rows below the drag object that go along with it (moveSubtree), and how many levels deep they go */
+    this.subtree       = [];
+    this.subtreeDepth  = 0;
+    /** The row a shift-click selects from */
+    this.selectAnchor  = null;
+    /** A selected row that was pressed, it becomes the only selected row if it isn't dragged */
+    this.clickedRow    = null;
+    /** Set while the row is being moved with the keyboard */
+    this.keyboardDrag  = false;
+    /** Set once the drag has started to show */
+    this.dragging      = false;
+    /** Shows where the rows will land in indicator mode */
+    this.placeholder   = null;
+    /** The copy of the rows that follows the pointer */
+    this.helper        = null;
+    /** The collapsed row the pointer rests on, and the timer that expands it */
+    this.hoverRow      = null;
+    this.hoverTimer    = null;
+    /** The row that is pressed but not dragged yet */
+    this.pressed       = null;
+    /** When the table was last touched, to tell the mouse events that follow a touch from real ones */
+    this.touched       = 0;
+    /** The frame of auto-scrolling that is coming up */
+    this.scrollFrame   = null;
+    /** How far a scroll container has been auto-scrolled during the drag */
+    this.scrolled      = {x: 0, y: 0};
+    /** The cached row positions of the large tables the drag has been over */
+    this.geometry      = [];
+    /** The move that is waiting for the next frame, and where it goes */
+    this.moveFrame     = null;
+    this.movePos       = null;
+    /** The rows and levels when the drag started, so that it can be undone */
+    this.snapshot      = null;
     /** The current mouse offset */
-    mouseOffset: null,
+    this.mouseOffset   = null;
     /** Remember the old value of X and Y so that we don't do too much processing */
-    oldX: 0,
-    oldY: 0,
-
-    /** Actually build the structure */
-    build: function(options) {
-        // Set up the defaults if any
-
-        this.each(function() {
-            // This is bound to each matching table, set up the defaults and override with user options
-            this.tableDnDConfig = $.extend({
-                onDragStyle: null,
-                onDropStyle: null,
-                // Add in the default class for whileDragging
-                onDragClass: "tDnD_whileDrag",
-                onDrop: null,
-                onDragStart: null,
-                scrollAmount: 5,
-                /** Sensitivity setting will throttle the trigger rate for movement detection */
-                sensitivity: 10,
-                /** Hierarchy level to support parent child. 0 switches this functionality off */
-                hierarchyLevel: 0,
-                /** The html artifact to prepend the first cell with as indentation */
-                indentArtifact: '<div class="indent">&nbsp;</div>',
-                /** Automatically adjust width of first cell */
-                autoWidthAdjust: true,
-                /** Automatic clean-up to ensure relationship integrity */
-                autoCleanRelations: true,
-                /** Specify a number (4) as number of spaces or any indent string for JSON.stringify */
-                jsonPretifySeparator: '\t',
-                /** The regular expression to use to trim row IDs */
-                serializeRegexp: /[^\-]*$/,
-                /** If you want to specify another parameter name instead of the table ID */
-                serializeParamName: false,
-                /** If you give the name of a class here, then only Cells with this class will be draggable */
-                dragHandle: null
-            }, options || {});
-
-            // Now make the rows draggable
-            $.tableDnD.makeDraggable(this);
-            // Prepare hierarchy support
-            this.tableDnDConfig.hierarchyLevel
-                && $.tableDnD.makeIndented(this);
-        });
-
-        // Don't break the chain
-        return this;
-    },
-    makeIndented: function (table) {
-        var config = table.tableDnDConfig,
+    this.oldX          = 0;
+    this.oldY          = 0;
+    /** The order of the rows when the drag started */
+    this.originalOrder = null;
+    /** What the latest drop into or out of this table changed */
+    this.move          = null;
+    /** The cell that got a fixed width to make room for the indentation, it keeps it wherever it moves to */
+    this.widthCell     = null;
+
+    // The config is also kept on the table for backwards compatibility
+    this.config = table.tableDnDConfig = $.extend({}, defaults, options || {});
+    /** The group of tables this one is connected to, when connectWith is a group name */
+    this.connectGroup = this.groupName(this.config.connectWith);
+
+    // The document handlers need to know which instance they belong to
+    this.mousemove = $.proxy(this.mousemove, this);
+    this.mouseup   = $.proxy(this.mouseup, this);
+    this.escape    = $.proxy(this.escape, this);
+    this.pressmove = $.proxy(this.pressmove, this);
+    this.release   = $.proxy(this.release, this);
+    this.preventScroll = $.proxy(this.preventScroll, this);
+
+    $(table).data('tableDnD', this);
+
+    // Now make the rows draggable
+    this.makeDraggable();
+    // Prepare hierarchy support
+    this.config.hierarchyLevel
+        && this.makeIndented()
+        && this.config.collapsible
+        && this.makeCollapsible();
+}
+
+TableDnD.prototype = {
+    makeIndented: function () {
+        var self   = this,
+            table  = this.table,
+            config = this.config,
             rows = table.rows,
-            firstCell = $(rows).first().find('td:first')[0],
+            firstCell,
             indentLevel = 0,
             cellWidth = 0,
             longestCell,
             tableStyle;
 
-        if ($(table).hasClass('indtd'))
-            return null;
+        // The rows may change places here, so the first cell is only known afterwards
+        this.buildTree();
+        firstCell = this.indentCellOf(rows[0])[0];
 
-        tableStyle = $(table).addClass('indtd').attr('style');
-        $(table).css({whiteSpace: "nowrap"});
+        // Only the artifacts take room that the first cell has to be made wide enough for
+        config.indentMode == 'artifact'
+            || $(table).addClass('indtd');
 
-        for (var w = 0; w < rows.length; w++) {
-            if (cellWidth < $(rows[w]).find('td:first').text().length) {
-                cellWidth = $(rows[w]).find('td:first').text().length;
-                longestCell = w;
+        if (!$(table).hasClass('indtd')) {
+            tableStyle = $(table).addClass('indtd').attr('style');
+            $(table).css({whiteSpace: "nowrap"});
+
+            for (var w = 0; w < rows.length; w++) {
+                if (cellWidth < self.indentCellOf(rows[w]).text().length) {
+                    cellWidth = self.indentCellOf(rows[w]).text().length;
+                    longestCell = w;
+                }
             }
+            $(firstCell).css({width: 'auto'});
+            for (w = 0; w < config.hierarchyLevel; w++)
+                self.indentCellOf(rows[longestCell]).prepend(config.indentArtifact);
+            firstCell && $(firstCell).css({width: firstCell.offsetWidth});
+            this.widthCell = firstCell;
+            tableStyle && $(table).css(tableStyle);
+
+            for (w = 0; w < config.hierarchyLevel; w++)
+                self.indentCellOf(rows[longestCell]).children(':first').remove();
         }
-        $(firstCell).css({width: 'auto'});
-        for (w = 0; w < config.hierarchyLevel; w++)
-            $(rows[longestCell]).find('td:first').prepend(config.indentArtifact);
-        firstCell && $(firstCell).css({width: firstCell.offsetWidth});
-        tableStyle && $(table).css(tableStyle);
-
-        for (w = 0; w < config.hierarchyLevel; w++)
-            $(rows[longestCell]).find('td:first').children(':first').remove();
 
+        // Rows that already have their indentation are left alone, so this can be called again for new rows
         config.hierarchyLevel
-            && $(rows).each(function () {
+            && $(rows).not(function () {
+                return $(this).data('indented');
+            }).each(function () {
                 indentLevel = $(this).data('level') || 0;
                 indentLevel <= config.hierarchyLevel
                     && $(this).data('level', indentLevel)
                     || $(this).data('level', 0);
-                for (var i = 0; i < $(this).data('level'); i++)
-                    $(this).find('td:first').prepend(config.indentArtifact);
+                self.showLevel(this, $(this).data('level'), 0);
+                $(this).data('indented', true);
+            });
+
+        return this;
+    },
+    /** Put the rows that name a parent in the parentAttribute under it and give them the level that goes with it */
+    buildTree: function () {
+        var self   = this,
+            config = this.config;
+
+        // Only tables whose rows name their parents are built from them, the others keep their data-level. Once
+        // on it stays on, even when the rows have all ended up at the top level without a parentAttribute
+        this.treeAttributes = !!config.parentAttribute
+            && (this.treeAttributes || $(this.table.tBodies).children('tr').is('[' + config.parentAttribute + ']'));
+
+        this.treeAttributes
+            && $(this.table.tBodies).each(function () {
+                var body     = this,
+                    rows     = $(body).children('tr'),
+                    byId     = {},
+                    children = {},
+                    roots    = [],
+                    placed   = [];
+
+                rows.each(function () {
+                    var id = $(this).attr(config.idAttribute);
+                    id !== undefined
+                        && !byId[id]
+                        && (byId[id] = this);
+                });
+                rows.each(function () {
+                    var parent = $(this).attr(config.parentAttribute);
+                    parent !== undefined && byId[parent] && byId[parent] != this
+                        ? (children[parent] = children[parent] || []).push(this)
+                        : roots.push(this);
+                });
+
+                // Depth first, a row that turns up again (a loop in the parents) is left out and added as a top
+                // level row below
+                (function place(list, level) {
+                    $.each(list, function (i, row) {
+                        var id = $(row).attr(config.idAttribute);
+                        if ($.inArray(row, placed) != -1)
+                            return;
+                        placed.push(row);
+                        body.appendChild(row);
+                        self.treeLevel(row, Math.min(level, config.hierarchyLevel));
+                        id !== undefined && children[id]
+                            && place(children[id], level + 1);
+                    });
+                })(roots, 0);
+                rows.each(function () {
+                    if ($.inArray(this, placed) == -1) {
+                        body.appendChild(this);
+                        self.treeLevel(this, 0);
+                    }
+                });
+            });
+
+        this.updateParents();
+    },
+    /** Give a row the level it has in the tree, before or after it got its indentation */
+    treeLevel: function (row, level) {
+        $(row).data('indented')
+            ? this.setLevel(row, level)
+            : $(row).data('level', level);
+    },
+    /** Write the id of the parent of every row, the row before it one level up, into its parentAttribute */
+    updateParents: function () {
+        var config      = this.config,
+            placeholder = this.placeholder || [];
+
+        if (!this.treeAttributes || !config.hierarchyLevel)
+            return null;
+
+        $(this.table.tBodies).each(function () {
+            var parents = [];
+
+            $(this).children('tr').not(placeholder).each(function () {
+                var level  = $(this).data('level') || 0,
+                    parent = $(parents[level - 1]).attr(config.idAttribute);
+
+                parents[level] = this;
+                parents.length = level + 1;
+                parent !== undefined
+                    ? $(this).attr(config.parentAttribute, parent)
+                    : $(this).removeAttr(config.parentAttribute);
+            });
+        });
+    },
+    /** Take the indentation off again, the levels are kept so that it can be rebuilt */
+    removeIndented: function () {
+        var self  = this,
+            table = this.table;
+
+        if (!$(table).hasClass('indtd'))
+            return null;
+
+        $(table.rows).filter(function () {
+            return $(this).data('indented');
+        }).each(function () {
+            self.showLevel(this, 0, $(this).data('level'));
+            $(this).removeData('indented');
+        });
+        $(this.widthCell).css({width: ''});
+        this.widthCell = null;
+        $(table).removeClass('indtd').css({whiteSpace: ''});
+
+        return this;
+    },
+    /** Put a toggle after the indentation of the rows that haven't got one yet, it collapses the rows below */
+    makeCollapsible: function () {
+        var self   = this,
+            config = this.config;
+
+        config.indentMode == 'artifact'
+            && $(this.table.tBodies).children('tr').each(function () {
+                var cell  = self.indentCellOf(this),
+                    level = $(this).data('level') || 0;
+
+                if (!cell.length || cell.children('.tDnD_toggle').length)
+                    return;
+
+                level
+                    ? cell.children().eq(level - 1).after($(config.toggleTemplate).addClass('tDnD_toggle'))
+                    : cell.prepend($(config.toggleTemplate).addClass('tDnD_toggle'));
+            });
+
+        $(this.table)
+            .off('click.tableDnD')
+            .on('click.tableDnD', '.tDnD_toggle', function () {
+                var row = $(this).closest('tr')[0];
+
+                if ($(row).closest('table')[0] != self.table)
+                    return;
+
+                self.toggle(row);
+                return false;
             });
+        this.refreshTree();
+
+        return this;
+    },
+    /** Take the toggles off and show the hidden rows, the collapsedClass stays so that it can be rebuilt */
+    removeCollapsible: function () {
+        var self = this,
+            rows = $(this.table.tBodies).children('tr');
+
+        $(this.table).off('click.tableDnD');
+        // Only the artifact mode added toggles, in the others they belong to the rows
+        this.config.indentMode == 'artifact'
+            && rows.each(function () {
+                self.indentCellOf(this).children('.tDnD_toggle').remove();
+            });
+        rows.filter('.tDnD_hidden').css('display', '');
+        rows.removeClass('tDnD_hidden tDnD_parent').removeAttr('aria-expanded');
+
+        return this;
+    },
+    collapse: function (row) {
+        $(row).addClass(this.config.collapsedClass);
+        return this.refreshTree();
+    },
+    expand: function (row) {
+        $(row).removeClass(this.config.collapsedClass);
+        return this.refreshTree();
+    },
+    toggle: function (row) {
+        return $(row).hasClass(this.config.collapsedClass)
+            ? this.expand(row)
+            : this.collapse(row);
+    },
+    /** Hide the rows below collapsed rows and show the others, going by their levels. The rows being dragged
+     stay in view, apart from the hidden subtree of a collapsed row */
+    refreshTree: function () {
+        var config    = this.config,
+            dragRows  = this.dragRows,
+            subtree   = this.subtree,
+            rows      = $(this.table.tBodies).children('tr').get(),
+            collapsed = Infinity;
+
+        if (!config.hierarchyLevel || !config.collapsible)
+            return this;
+
+        $.each(rows, function (i, row) {
+            var level  = $(row).data('level') || 0,
+                parent = rows[i + 1] && ($(rows[i + 1]).data('level') || 0) > level,
+                hidden;
+
+            // Back at the level of the collapsed row, or above it
+            level <= collapsed
+                && (collapsed = Infinity);
+            hidden = level > collapsed && ($.inArray(row, dragRows) == -1 || $.inArray(row, subtree) != -1);
+
+            hidden != $(row).hasClass('tDnD_hidden')
+                && $(row).toggleClass('tDnD_hidden', hidden).css('display', hidden ? 'none' : '');
+            $(row).toggleClass('tDnD_parent', !!parent);
+            parent
+                ? $(row).attr('aria-expanded', !$(row).hasClass(config.collapsedClass))
+                : $(row).removeAttr('aria-expanded');
+
+            !hidden
+                && parent
+                && $(row).hasClass(config.collapsedClass)
+                && (collapsed = level);
+        });
 
+        // The rows have moved about
+        this.geometry = [];
         return this;
     },
+    /** Expand the collapsed rows that a row is hidden under */
+    reveal: function (row) {
+        var collapsedClass = this.config.collapsedClass,
+            level          = $(row).data('level') || 0;
+
+        $(row).prevAll('tr').each(function () {
+            if (($(this).data('level') || 0) < level) {
+                level = $(this).data('level') || 0;
+                $(this).removeClass(collapsedClass);
+            }
+            return level > 0;
+        });
+    },
+    /** Expand the collapsed row that the dragged row last came to once it has rested there for expandDelay */
+    hoverExpand: function (row) {
+        var self     = this,
+            instance = row && $.tableDnD.instance($(row).closest('table')[0]);
+
+        // The dragged row (or the placeholder) moves past the row as soon as it gets there and is then what the
+        // pointer is over, that doesn't count as leaving the row
+        if (!row
+            || row == this.placeholder
+            || $.inArray(row, this.dragRows) != -1
+            || row == this.hoverRow)
+            return null;
+
+        clearTimeout(this.hoverTimer);
+        this.hoverRow = row;
+
+        instance
+            && instance.config.collapsible
+            && $(row).hasClass('tDnD_parent')
+            && $(row).hasClass(instance.config.collapsedClass)
+            && (this.hoverTimer = setTimeout(function () {
+                if (!self.dragObject)
+                    return;
+                instance.expand(row);
+                self.geometry = [];
+            }, instance.config.expandDelay));
+    },
+    /** The row to insert in front of to go after row, past the rows that are collapsed under it */
+    after: function (row) {
+        var next = row.nextSibling;
+
+        while (next && $(next).hasClass('tDnD_hidden'))
+            next = next.nextSibling;
+
+        return next;
+    },
     /** This function makes all the rows on the table draggable apart from those marked as "NoDrag" */
-    makeDraggable: function(table) {
-        var config = table.tableDnDConfig;
+    makeDraggable: function() {
+        var self   = this,
+            table  = this.table,
+            config = this.config;
+
+        // Start from scratch so that calling this again doesn't bind twice
+        this.makeUndraggable();
 
+        if (config.disabled)
+            return null;
+
+        // A single handler on the table looks after all the rows, including the ones added later.
+        // If there is a dragHandle only those cells start a drag, otherwise the whole row does.
+        $(table).on(tableStartEvent, config.dragHandle || 'tr', function(e) {
+            var row = $(this).closest('tr')[0];
+
+            // Leave rows of nested tables and rows marked as "nodrag" alone
+            if ($(row).closest('table')[0] != table
+                || $(row).hasClass("nodrag")
+                || self.isFixed(row)
+                // Controls and links in the row keep working, and so does the collapse toggle
+                || config.cancel && $(e.target).closest(config.cancel, this).length
+                || $(e.target).closest('.tDnD_toggle', this).length
+                // Only the main button drags
+                || (e.originalEvent || e).button > 0
+                // A touch screen follows a touch with mouse events of its own, one drag is enough
+                || /^mouse/.test(e.type) && new Date - self.touched < 1000
+                // One press or drag at a time, a keyboard drag or a second finger can't start another
+                || self.pressed
+                || self.dragObject)
+                return;
+
+            if (config.multiSelect && !self.selectRow(row, e))
+                return false;
+
+            self.press(row, config.dragHandle ? this : row, e);
+
+            // Not a drag for the table around this one as well
+            e.stopPropagation();
+
+            // Shift-clicking to select rows shouldn't select the text in them
+            if (config.multiSelect && (e.shiftKey || e.ctrlKey || e.metaKey))
+                return false;
+        });
+
+        config.keyboard
+            && this.makeAccessible();
+
+        // With a dragHandle you are responsible for the cursor, otherwise show it on the rows as they're used
         config.dragHandle
-            // We only need to add the event to the specified cells
-            && $(config.dragHandle, table).each(function() {
-                // The cell is bound to "this"
-                $(this).bind(startEvent, function(e) {
-                    $.tableDnD.initialiseDrag($(this).parents('tr')[0], table, this, e, config);
-                    return false;
-                });
+            || $(table).on('mouseover.tableDnD', 'tr', function() {
+                $(this).hasClass("nodrag")
+                    || self.isFixed(this)
+                    || this.style.cursor
+                    || $(this).css("cursor", "move");
+            });
+    },
+    /** Unbind what makeDraggable() bound */
+    makeUndraggable: function() {
+        $(this.table).off(tableStartEvent + ' mouseover.tableDnD keydown.tableDnD');
+        $(this.table.rows).not('.nodrag').css("cursor", "");
+        $(this.config.dragHandle || this.table.rows, this.table)
+            .filter('[aria-describedby="' + $(this.instructions).attr('id') + '"]')
+            .removeAttr('tabindex')
+            .removeAttr('aria-describedby');
+    },
+    /** Let the rows (or handles) be focused and moved with the keyboard, and tell screen readers how */
+    makeAccessible: function() {
+        var self   = this,
+            table  = this.table,
+            config = this.config;
+
+        this.instructions
+            || (this.instructions = $('<div/>', {id: 'tDnD_instructions_' + (++uid)})
+                .css(visuallyHidden).insertAfter(table)[0]);
+        this.liveRegion
+            || (this.liveRegion = $('<div role="status" aria-live="assertive" aria-atomic="true"/>')
+                .css(visuallyHidden).insertAfter(table)[0]);
+        $(this.instructions).text(this.message('instructions'));
+
+        $(config.dragHandle || table.rows, table)
+            .filter(function () {
+                return !$(this).closest('tr').hasClass("nodrag")
+                    && !self.isFixed($(this).closest('tr')[0]);
             })
-            // For backwards compatibility, we add the event to the whole row
-            // get all the rows as a wrapped set
-            || $(table.rows).each(function() {
-                // Iterate through each row, the row is bound to "this"
-                if (! $(this).hasClass("nodrag")) {
-                    $(this).bind(startEvent, function(e) {
-                        if (e.target.tagName == "TD") {
-                            $.tableDnD.initialiseDrag(this, table, this, e, config);
-                            return false;
-                        }
-                    }).css("cursor", "move"); // Store the tableDnD object
-                }
+            .attr({tabindex: 0, 'aria-describedby': this.instructions.id});
+
+        $(table).on('keydown.tableDnD', config.dragHandle || 'tr', function(e) {
+            var row = $(this).closest('tr')[0];
+
+            // Only when the row or handle itself has the focus, so that inputs in the row keep working
+            if (e.target != this
+                || $(row).closest('table')[0] != table
+                || $(row).hasClass("nodrag")
+                || self.isFixed(row))
+                return;
+
+            return self.keydown(e, row, this);
+        });
+    },
+    /** Get one of the keyboardMessages with the details of the row filled in */
+    message: function(name, row) {
+        var rows   = $(this.table.tBodies).children('tr'),
+            values = row && {
+                row:      $(row).attr('aria-label') || $.trim($(row.cells[0]).text()),
+                position: rows.index(row) + 1,
+                total:    rows.length,
+                level:    $(row).data('level') || 0
+            };
+
+        return $.extend({}, defaults.keyboardMessages, this.config.keyboardMessages)[name]
+            .replace(/\{(\w+)\}/g, function (match, key) {
+                return values ? values[key] : match;
             });
     },
+    announce: function(name, row) {
+        $(this.liveRegion).text(this.message(name, row));
+    },
+    /** Handle the keys for picking up, moving, dropping and cancelling a row */
+    keydown: function(e, row, target) {
+        var dragObject = this.dragObject;
+
+        // Space or enter picks the row up
+        if (!dragObject) {
+            if (e.which != 32 && e.which != 13)
+                return;
+
+            if (this.initialiseDrag(row, target, e) === false)
+                return false;
+            this.showDragging();
+            this.announce('pickedUp', row);
+            return false;
+        }
+
+        if (!this.keyboardDrag)
+            return;
+
+        switch (e.which) {
+            case 38: // up
+            case 40: // down
+                this.keyboardMove(e.which == 38 ? -1 : 1)
+                    && this.announce('moved', dragObject);
+                break;
+            case 37: // left
+            case 39: // right
+                // moveHorizontal() works like the mouse, moving right is negative
+                this.moveHorizontal({horizontal: e.which == 39 ? -1 : 1, vertical: 0}, this.placeholder || dragObject);
+                this.config.hierarchyLevel
+                    && this.announce('level', dragObject);
+                break;
+            case 27: // escape
+                this.cancel();
+                this.announce('cancelled', dragObject);
+                break;
+            case 32: // space
+            case 13: // enter
+                this.processMouseup();
+                this.announce('dropped', dragObject);
+                break;
+            default:
+                return;
+        }
+
+        // Moving the row around the DOM may have taken the focus away
+        $(target).focus();
+        return false;
+    },
+    /** Move the dragged row (and the rest of the block) up (-1) or down (1), past the rows it can't be dropped on */
+    keyboardMove: function(direction) {
+        var self     = this,
+            config   = this.config,
+            dragRows = this.dragRows,
+            // In indicator mode it's the placeholder that moves, past the rows that are waiting to be dropped
+            from     = this.placeholder || dragRows[direction < 0 ? 0 : dragRows.length - 1],
+            target   = null,
+            parent,
+            before;
+
+        $(from)[direction < 0 ? 'prevAll' : 'nextAll']('tr').each(function () {
+            if ($(this).hasClass("nodrop")
+                || $(this).hasClass('tDnD_hidden')
+                || $.inArray(this, dragRows) != -1
+                || config.onAllowDrop
+                    && !config.onAllowDrop(self.dragObject, this, self.table))
+                return;
+            target = this;
+            return false;
+        });
+
+        if (target) {
+            parent = target.parentNode;
+            before = direction < 0 ? target : self.after(target);
+        }
+        // Past the end of its tbody, into the next one
+        else if (config.connectBodies
+            && (parent = $(from.parentNode)[direction < 0 ? 'prevAll' : 'nextAll']('tbody')[0]))
+            before = direction < 0 ? null : parent.firstChild;
+        else
+            return false;
+
+        if (!this.moveRow(parent, before))
+            return false;
+        dragRows.length > 1
+            && !this.placeholder
+            && this.gatherBlock();
+
+        return true;
+    },
+    /** Put the rows back where they were, with the levels they had, when the drag started */
+    restore: function(snapshot) {
+        var self = this;
+
+        snapshot
+            && $.each(snapshot, function (i, item) {
+                item.parent.appendChild(item.row);
+                self.config.hierarchyLevel
+                    && self.setLevel(item.row, item.level);
+            });
+    },
+    /** Give a row another level, adding or removing indentation to match */
+    setLevel: function(row, level) {
+        var currentLevel = $(row).data('level') || 0;
+
+        if (currentLevel == level)
+            return null;
+
+        this.showLevel(row, level, currentLevel);
+        $(row).data('level', level);
+    },
+    /** Change the indentation of a row from one level to another, the way indentMode says */
+    showLevel: function(row, level, oldLevel) {
+        var config = this.config,
+            cell   = this.indentCellOf(row),
+            padding;
+
+        switch (config.indentMode) {
+            case 'artifact':
+                for (; oldLevel < level; oldLevel++)
+                    cell.prepend(config.indentArtifact);
+                for (; oldLevel > level; oldLevel--)
+                    cell.children(':first').remove();
+                break;
+            case 'padding':
+                // The padding is added to the one the cell has of its own
+                padding = cell.data('tDnD_padding');
+                padding || cell.data('tDnD_padding', padding = {
+                    inline: cell.length ? cell[0].style.paddingLeft : '',
+                    base:   parseFloat(cell.css('padding-left')) || 0
+                });
+                cell.css('padding-left', level ? padding.base + level * config.indentSize + 'px' : padding.inline);
+                break;
+            case 'variable':
+                cell.length
+                    && cell[0].style.setProperty('--tDnD-level', level);
+                break;
+        }
+
+        config.onLevelChange
+            && config.onLevelChange(row, level);
+    },
+    /** The cell of a row that shows its level */
+    indentCellOf: function(row) {
+        return $(row).find(this.config.indentCell).first();
+    },
+    /** Pick up rows that were added since the table was set up, this is safe to call as often as you like */
+    update: function() {
+        this.makeDraggable();
+        this.config.hierarchyLevel
+            && this.makeIndented()
+            && this.config.collapsible
+            && this.makeCollapsible();
+
+        return this;
+    },
+    /** Get an option, or set one (name, value) or several ({name: value}) and apply them to the table */
+    option: function(name, value) {
+        var options = name,
+            reDrag,
+            reIndent;
+
+        if (typeof name == 'string') {
+            if (value === undefined)
+                return this.config[name];
+            (options = {})[name] = value;
+        }
+
+        reDrag   = 'dragHandle' in options || 'disabled' in options || 'keyboard' in options;
+        reIndent = 'hierarchyLevel' in options || 'indentArtifact' in options
+            || 'indentMode' in options || 'indentCell' in options || 'indentSize' in options
+            || 'collapsible' in options || 'toggleTemplate' in options;
+
+        reDrag   && this.makeUndraggable();
+        reIndent && this.removeCollapsible();
+        reIndent && this.removeIndented();
+
+        $.extend(this.config, options);
+        'connectWith' in options
+            && (this.connectGroup = this.groupName(this.config.connectWith));
+
+        reDrag   && this.makeDraggable();
+        reIndent && this.config.hierarchyLevel
+            && this.makeIndented()
+            && this.config.collapsible
+            && this.makeCollapsible();
+
+        return this;
+    },
+    enable: function() {
+        return this.option('disabled', false);
+    },
+    disable: function() {
+        return this.option('disabled', true);
+    },
+    /** Take everything off the table again */
+    destroy: function() {
+        this.release();
+        this.cancel();
+        $(this.table.rows).removeClass(this.config.selectedClass);
+
+        this.makeUndraggable();
+        this.removeCollapsible();
+        this.removeIndented();
+        $([this.instructions, this.liveRegion]).remove();
+
+        $(this.table).removeData('tableDnD');
+        delete this.table.tableDnDConfig;
+
+        $.tableDnD.currentTable == this.table
+            && ($.tableDnD.currentTable = $.tableDnD.dragObject = null);
+    },
+    /** The selected rows of the table, in the order they're in */
+    selectedRows: function() {
+        return $(this.table.rows).filter('.' + this.config.selectedClass).get();
+    },
+    /** Update the selection for a row that is pressed, returns false if it shouldn't be dragged */
+    selectRow: function(row, e) {
+        var self          = this,
+            selectedClass = this.config.selectedClass,
+            rows          = $(this.table.rows).not('.nodrag, .tDnD_hidden').filter(function () {
+                return !self.isFixed(this);
+            }),
+            from          = rows.index(this.selectAnchor),
+            to            = rows.index(row);
+
+        this.clickedRow = null;
+
+        // Select everything from the last row clicked
+        if (e.shiftKey && from != -1) {
+            rows.removeClass(selectedClass)
+                .slice(Math.min(from, to), Math.max(from, to) + 1)
+                .addClass(selectedClass);
+            return true;
+        }
+
+        this.selectAnchor = row;
+
+        // Add or remove the row, a row that was just removed isn't dragged
+        if (e.ctrlKey || e.metaKey)
+            return $(row).toggleClass(selectedClass).hasClass(selectedClass);
+
+        // Keep the selection so that it can be dragged, unless this turns out to be a click
+        if ($(row).hasClass(selectedClass))
+            this.clickedRow = row;
+        else
+            rows.removeClass(selectedClass)
+                .filter(row).addClass(selectedClass);
+
+        return true;
+    },
+    /** Keep the rest of the rows of a block together with the dragged row, in their original order */
+    gatherBlock: function() {
+        var self       = this,
+            dragObject = this.dragObject,
+            dragRows   = this.dragRows,
+            index      = $.inArray(dragObject, dragRows),
+            previous   = dragObject;
+
+        // Nothing to do if they are together already
+        if (!$.grep(dragRows, function (row, i) {
+            return i && row.previousSibling != dragRows[i - 1];
+        }).length)
+            return null;
+
+        // The cached positions are kept up to date row by row, measuring the whole table on every move would
+        // undo what the cache is for
+        $.each(dragRows, function(i, row) {
+            var oldTable = $(row).closest('table')[0];
+
+            if (i < index)
+                dragObject.parentNode.insertBefore(row, dragObject);
+            else if (i > index) {
+                previous.parentNode.insertBefore(row, previous.nextSibling);
+                previous = row;
+            }
+            i != index
+                && self.moveGeometry(row, oldTable);
+        });
+    },
     currentOrder: function() {
-        var rows = this.currentTable.rows;
+        var rows = this.table.rows;
         return $.map(rows, function (val) {
             return ($(val).data('level') + val.id).replace(/\s/g, '');
         }).join('');
     },
-    initialiseDrag: function(dragObject, table, target, e, config) {
+    initialiseDrag: function(dragObject, target, e) {
+        // A selected row takes the rest of the selection with it
+        var config   = this.config,
+            dragRows = config.multiSelect && $(dragObject).hasClass(config.selectedClass)
+                ? this.selectedRows()
+                : [dragObject],
+            subtree  = [];
+
+        // A drag is already going on
+        if (this.dragObject)
+            return false;
+
+        // And a parent its children
+        if (config.moveSubtree && config.hierarchyLevel) {
+            dragRows = this.withSubtrees(dragRows);
+            subtree  = this.withSubtrees([dragObject]).slice(1);
+        }
+
+        // Wait for the answer to the last drop first
+        if (this.pending)
+            return false;
+
+        this.origin = {
+            sourceTable: this.table,
+            oldIndex:    this.rowIndex(dragObject),
+            oldLevel:    $(dragObject).data('level') || 0,
+            oldParent:   this.parentId(dragObject)
+        };
+        if (!this.trigger('dragstart', this.eventDetail(dragObject, dragRows)))
+            return false;
+
         this.dragObject    = dragObject;
-        this.currentTable  = table;
-        this.mouseOffset   = this.getMouseOffset(target, e);
+        this.dragRows      = dragRows;
+        this.subtree       = subtree;
+        this.subtreeDepth  = Math.max.apply(Math, $.map(subtree.concat(dragObject), function (row) {
+            return $(row).data('level') || 0;
+        })) - ($(dragObject).data('level') || 0);
+        // Without a pointer there are no coordinates, the keyboard moves the row itself
+        this.keyboardDrag  = /^key/.test(e.type);
+        this.mouseOffset   = this.keyboardDrag ? {x: 0, y: 0} : this.getMouseOffset(target, e);
+        this.helperOffset  = this.keyboardDrag ? {x: 0, y: 0} : this.getMouseOffset(dragObject, e);
+        this.scrolled      = {x: 0, y: 0};
+        this.geometry      = [];
         this.originalOrder = this.currentOrder();
+        this.snapshot      = $.map(this.table.rows, function (row) {
+            return {row: row, parent: row.parentNode, level: $(row).data('level')};
+        });
+
+        // Keep the facade pointing at the latest drag for code that still reads it
+        $.tableDnD.currentTable = this.table;
+        $.tableDnD.dragObject   = dragObject;
 
         // Now we need to capture the mouse up and mouse move event
         // We can use bind so that we don't interfere with other event handlers
-        $(document)
-            .bind(moveEvent, this.mousemove)
-            .bind(endEvent, this.mouseup);
+        this.keyboardDrag
+            || $(document)
+                .bind(moveEvent, this.mousemove)
+                .bind(endEvent, this.mouseup)
+                .bind('keydown', this.escape)
+                // No selecting text or dragging images about while the row is dragged
+                .bind('selectstart.tableDnD dragstart.tableDnD', false);
+        this.keyboardDrag
+            || window.getSelection
+            && window.getSelection().removeAllRanges();
+
+        // Keep getting the pointer events when the pointer leaves the window, they still bubble up to the document
+        !this.keyboardDrag
+            && e.originalEvent
+            && e.originalEvent.pointerId !== undefined
+            && this.table.setPointerCapture
+            && this.table.setPointerCapture(e.originalEvent.pointerId);
 
         // Call the onDragStart method if there is one
-        config.onDragStart
-            && config.onDragStart(table, target);
+        this.config.onDragStart
+            && this.config.onDragStart(this.table, target);
     },
-    updateTables: function() {
-        this.each(function() {
-            // this is now bound to each matching table
-            if (this.tableDnDConfig)
-                $.tableDnD.makeDraggable(this);
+    /** A row (or its handle, the target) is pressed. It is dragged once the mouse has moved dragThreshold pixels
+     or a touch has been held for touchDelay, a touch that moves before then scrolls the page instead */
+    press: function(row, target, e) {
+        var self   = this,
+            config = this.config,
+            touch  = this.isTouch(e);
+
+        if (touch) {
+            this.touched = +new Date;
+            // jQuery can't bind a touchmove handler that is allowed to stop the page from scrolling
+            document.addEventListener('touchmove', this.preventScroll, {passive: false});
+        }
+
+        if (touch ? !config.touchDelay : !config.dragThreshold)
+            return this.initialiseDrag(row, target, e);
+
+        this.pressed = {row: row, target: target, event: e, start: this.mouseCoords(e), touch: touch};
+        touch
+            && (this.pressed.timer = setTimeout(function () {
+                self.dragPressed();
+            }, config.touchDelay));
+        $(document)
+            .bind(moveEvent, this.pressmove)
+            .bind(endEvent, this.release);
+    },
+    /** Start the drag once the pointer has moved far enough, or give up on a touch that scrolls */
+    pressmove: function(e) {
+        var start    = this.pressed.start,
+            mousePos = this.mouseCoords(e),
+            distance = Math.sqrt(Math.pow(mousePos.x - start.x, 2) + Math.pow(mousePos.y - start.y, 2));
+
+        // A finger is never quite still
+        if (this.pressed.touch)
+            return distance > Math.max(this.config.dragThreshold, 10)
+                && this.release();
+
+        if (distance < this.config.dragThreshold)
+            return false;
+
+        this.dragPressed();
+        this.mousemove(e);
+    },
+    /** The press has become a drag */
+    dragPressed: function() {
+        var pressed = this.pressed;
+
+        this.endPress();
+        this.initialiseDrag(pressed.row, pressed.target, pressed.event);
+    },
+    /** Let go of a row before it was dragged, that makes it a click */
+    release: function() {
+        this.endPress();
+        document.removeEventListener('touchmove', this.preventScroll, false);
+
+        this.clickedRow
+            && $(this.table.rows).removeClass(this.config.selectedClass)
+                .filter(this.clickedRow).addClass(this.config.selectedClass);
+        this.clickedRow = null;
+    },
+    endPress: function() {
+        if (!this.pressed)
+            return null;
+
+        clearTimeout(this.pressed.timer);
+        $(document)
+            .unbind(moveEvent, this.pressmove)
+            .unbind(endEvent, this.release);
+        this.pressed = null;
+    },
+    /** Keep the page still under a touch drag, but let it scroll while the touch isn't a drag yet */
+    preventScroll: function(e) {
+        this.dragObject
+            && e.preventDefault();
+    },
+    isTouch: function(e) {
+        return /^touch/.test(e.type) || (e.originalEvent || e).pointerType == 'touch';
+    },
+    /** The rows with the rows below each of them that have a higher level, in the order they're in */
+    withSubtrees: function(rows) {
+        var result = [];
+
+        $.each(rows, function (i, row) {
+            var level = $(row).data('level') || 0;
+
+            $.inArray(row, result) == -1
+                && result.push(row);
+            $(row).nextAll('tr').each(function () {
+                if (($(this).data('level') || 0) <= level)
+                    return false;
+                $.inArray(this, result) == -1
+                    && result.push(this);
+            });
+        });
+
+        return result;
+    },
+    /** Give the drag object another level, the rows of its subtree move along to keep their place under it */
+    levelSubtree: function(level) {
+        var self  = this,
+            shift = level - ($(this.dragObject).data('level') || 0);
+
+        shift
+            && $.each(this.subtree, function (i, row) {
+                self.setLevel(row, ($(row).data('level') || 0) + shift);
+            });
+        this.setLevel(this.dragObject, level);
+    },
+    /** The position of a row amongst the body rows of its table */
+    rowIndex: function(row) {
+        return $($(row).closest('table')[0].tBodies).children('tr').index(row);
+    },
+    /** What the tablednd: events tell about the drag: where the row came from and where it is now */
+    eventDetail: function(row, rows) {
+        // In indicator mode the rows will end up where the placeholder is, once they've left their old place
+        var at = this.placeholder || row;
+
+        return $.extend({
+            row:         row,
+            rows:        rows,
+            newIndex:    this.placeholder
+                ? $($(at).closest('table')[0].tBodies).children('tr').not(rows).index(at) + $.inArray(row, rows)
+                : this.rowIndex(row),
+            newLevel:    $(at).data('level') || 0,
+            newParent:   this.parentId(at),
+            targetTable: $(at).closest('table')[0]
+        }, this.origin);
+    },
+    /**
+     * Trigger a tablednd: event on the table, and on the table the row went into when that is another one,
+     * returns false if a handler on either prevented the default
+     */
+    trigger: function(name, detail) {
+        var tables = detail && detail.targetTable && detail.targetTable != this.table
+                ? [this.table, detail.targetTable]
+                : [this.table];
+
+        return !$.grep(tables, function (table) {
+            var event = $.Event('tablednd:' + name, {detail: detail});
+
+            $(table).trigger(event, [detail]);
+
+            return event.isDefaultPrevented();
+        }).length;
+    },
+    /** Move the dragged row (or the placeholder) in front of another row (at the end with null), unless
+     tablednd:move is prevented */
+    moveRow: function(parent, before) {
+        var row     = this.placeholder || this.dragObject,
+            oldNext = row.nextSibling,
+            oldParent = row.parentNode,
+            positions;
+
+        if (before == row || parent == oldParent && before == oldNext
+            // Not in between a row and its subtree
+            || $.inArray(before, this.subtree) != -1)
+            return false;
+
+        // The rows that make way slide there from where they are now
+        positions = this.animationSettings()
+            && this.measureRows(this.displacedRows(row, parent, before));
+
+        parent.insertBefore(row, before);
+
+        if (!this.trigger('move', this.eventDetail(this.dragObject, this.dragRows))) {
+            oldParent.insertBefore(row, oldNext);
+            return false;
+        }
+
+        this.moveGeometry(row, $(oldParent).closest('table')[0]);
+        positions
+            && this.animateRows(positions);
+        return true;
+    },
+    /** The cached row positions of a large table, relative to the table. They are measured the first time the
+     pointer is over the table and kept up to date as rows move, so the rows don't all have to be measured again
+     on every move */
+    rowGeometry: function(table) {
+        var self     = this,
+            geometry = $.grep(this.geometry, function (geometry) {
+                return geometry.table == table;
+            })[0],
+            origin;
+
+        if (geometry)
+            return geometry;
+
+        origin   = this.getPosition(table).y;
+        geometry = {table: table, rows: $.makeArray(table.rows), tops: [], heights: []};
+        $.each(geometry.rows, function (i, row) {
+            var height = row.offsetHeight || row.firstChild && row.firstChild.offsetHeight || 0;
+
+            // Hidden rows take no room, they sit where the row before them ends to keep the tops in order
+            geometry.tops.push(height || !i
+                ? self.getPosition(row).y - origin
+                : geometry.tops[i - 1] + geometry.heights[i - 1]);
+            geometry.heights.push(height);
+        });
+        this.geometry.push(geometry);
+        return geometry;
+    },
+    /** Keep the cached positions in step with a row that moved: the rows after its old place move up by its
+     height and the rows after its new place move down */
+    moveGeometry: function(row, oldTable) {
+        var newTable = $(row).closest('table')[0],
+            height   = row.offsetHeight,
+            geometry,
+            index,
+            i;
+
+        geometry = $.grep(this.geometry, function (geometry) {
+            return geometry.table == oldTable;
+        })[0];
+        if (geometry && (index = $.inArray(row, geometry.rows)) != -1) {
+            height = geometry.heights[index];
+            geometry.rows.splice(index, 1);
+            geometry.tops.splice(index, 1);
+            geometry.heights.splice(index, 1);
+            for (i = index; i < geometry.tops.length; i++)
+                geometry.tops[i] -= height;
+        }
+
+        geometry = $.grep(this.geometry, function (geometry) {
+            return geometry.table == newTable;
+        })[0];
+        if (geometry) {
+            index = row.rowIndex;
+            geometry.rows.splice(index, 0, row);
+            geometry.tops.splice(index, 0, index < geometry.tops.length
+                ? geometry.tops[index]
+                : index ? geometry.tops[index - 1] + geometry.heights[index - 1] : 0);
+            geometry.heights.splice(index, 0, height);
+            for (i = index + 1; i < geometry.tops.length; i++)
+                geometry.tops[i] += height;
+        }
+    },
+    /** The row of a large table whose top edge y is near, found by halving the cached rows */
+    rowAt: function(y, table) {
+        var geometry = this.rowGeometry(table),
+            tops     = geometry.tops,
+            heights  = geometry.heights,
+            low      = 0,
+            high     = tops.length - 1,
+            middle;
+
+        // The table may have scrolled since its rows were measured
+        y -= this.getPosition(table).y;
+
+        // The last row that starts above y
+        while (low < high) {
+            middle = Math.ceil((low + high) / 2);
+            tops[middle] - heights[middle] / 2 < y
+                ? low = middle
+                : high = middle - 1;
+        }
+        while (low > 0 && !heights[low])
+            low--;
+
+        return y > tops[low] - heights[low] / 2 && y < tops[low] + heights[low] / 2
+            ? geometry.rows[low]
+            : null;
+    },
+    /** The rows that shift up or down when row moves in front of before (or to the end of parent) */
+    displacedRows: function(row, parent, before) {
+        var rows = $(row.parentNode).children('tr'),
+            from = rows.index(row),
+            to   = before ? rows.index(before) : rows.length;
+
+        rows = parent == row.parentNode
+            ? rows.slice(Math.min(from + 1, to), Math.max(from, to))
+            : $(row).nextAll('tr').add(before ? $(before).nextAll('tr').add(before) : []);
+
+        // Rows that are dragged along follow the pointer, not the table
+        return rows.not(this.placeholder ? [] : this.dragRows).get();
+    },
+    /** The duration and easing of the slides, false if the rows should just jump */
+    animationSettings: function() {
+        var animation = this.config.animation;
+
+        if (!animation
+            || window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches)
+            return false;
+
+        return $.extend(
+            {duration: 150, easing: 'ease'},
+            typeof animation == 'object' ? animation : animation === true ? {} : {duration: animation}
+        );
+    },
+    /** Where the rows are on screen, including any slide they are in the middle of */
+    measureRows: function(rows) {
+        return $.map(rows, function (row) {
+            return {row: row, top: row.getBoundingClientRect().top};
+        });
+    },
+    /** Slide rows from the measured positions to where they are now. Only a transform moves them, which
+     leaves offsetTop alone, so getPosition() and findDropTargetRow() see the rows where they really are
+     while they slide */
+    animateRows: function(positions) {
+        var animation = this.animationSettings(),
+            stopped   = [],
+            moved;
+
+        // Stop the slides the rows are in, to find where they have landed
+        $.each(positions, function (i, position) {
+            var slide = $(position.row).data('tDnD_slide');
+
+            if (slide) {
+                clearTimeout(slide);
+                stopped.push(position.row);
+                $(position.row).removeData('tDnD_slide').css({transition: 'none', transform: ''});
+            }
+        });
+        moved = $.grep(positions, function (position) {
+            position.shift = position.top - position.row.getBoundingClientRect().top;
+            return position.shift;
+        });
+        $(stopped).not($.map(moved, function (position) {
+            return position.row;
+        })).css({transition: ''});
+        if (!moved.length)
+            return null;
+
+        // Put them back where they were, let the browser take that in and then let them go
+        $.each(moved, function (i, position) {
+            $(position.row).css({transform: 'translateY(' + position.shift + 'px)'});
+        });
+        moved[0].row.offsetWidth;
+        $.each(moved, function (i, position) {
+            var row = position.row;
+
+            $(row)
+                .css({transition: 'transform ' + animation.duration + 'ms ' + animation.easing, transform: ''})
+                .data('tDnD_slide', setTimeout(function () {
+                    $(row).css({transition: ''}).removeData('tDnD_slide');
+                }, animation.duration));
         });
     },
+    /** Where the rows are on screen just before the drop, the dragged rows where the helper or the pointer
+     has them, so that they can settle into their place */
+    settlePositions: function() {
+        var dragRows = this.dragRows,
+            marker   = this.placeholder || this.dragObject,
+            clones   = this.helper && !$.isFunction(this.config.helper) && $(this.helper).find('tr'),
+            shift    = this.mousePos
+                ? this.mousePos.y - this.helperOffset.y - this.getPosition(this.dragObject).y
+                : 0,
+            rows     = $(marker.parentNode).children('tr')
+                .add($(this.dragObject.parentNode).children('tr'))
+                .not(this.placeholder || []);
+
+        return $.map(this.measureRows(rows), function (position) {
+            var i = $.inArray(position.row, dragRows);
+
+            i >= 0
+                && (position.top = clones ? clones[i].getBoundingClientRect().top : position.top + shift);
+            return position;
+        });
+    },
+    /** Give the dragged row another level, unless tablednd:indent is prevented */
+    changeLevel: function(row, level) {
+        var oldLevel = $(row).data('level') || 0;
+
+        row == this.dragObject
+            ? this.levelSubtree(level)
+            : this.setLevel(row, level);
+
+        if (!this.trigger('indent', this.eventDetail(this.dragObject, this.dragRows))) {
+            row == this.dragObject
+                ? this.levelSubtree(oldLevel)
+                : this.setLevel(row, oldLevel);
+            return false;
+        }
+
+        // The indentation may have changed the height of the row
+        this.geometry = [];
+        row == this.dragObject
+            && this.updateParents();
+        return true;
+    },
     /** Get the mouse coordinates from the event (allowing for browser differences) */
     mouseCoords: function(e) {
+        var original = e.originalEvent,
+            touches  = original && (original.touches && original.touches.length
+                ? original.touches
+                : original.changedTouches);
+
+        // Touch events keep the coordinates with each touch, and older versions of jQuery don't copy them
+        // from pointer events
+        if (touches && touches.length)
+            e = touches[0];
+        else if (original && original.pageX !== undefined)
+            e = original;
+
         if(e.pageX || e.pageY)
             return {
                 x: e.pageX,
@@ -313,7 +1765,8 @@ window.jQuery.tableDnD = {
     /** Get the position of an element by going up the DOM tree and adding up all the offsets */
     getPosition: function(element) {
         var left = 0,
-            top  = 0;
+            top  = 0,
+            node;
 
         // Safari fix -- thanks to Luis Chato for this!
         // Safari 2 doesn't correctly grab the offsetTop of a table row
@@ -322,8 +1775,9 @@ window.jQuery.tableDnD = {
         // the solution is likewise noted there, grab the offset of a table cell in the row - the firstChild.
         // note that firefox will return a text node as a first child, so designing a more thorough
         // solution may need to take that into account, for now this seems to work in firefox, safari, ie
-        if (element.offsetHeight == 0)
+        if (element.offsetHeight == 0 && element.firstChild)
             element = element.firstChild; // a table cell
+        node = element;
 
         while (element.offsetParent) {
             left   += element.offsetLeft;
@@ -334,114 +1788,470 @@ window.jQuery.tableDnD = {
         left += element.offsetLeft;
         top  += element.offsetTop;
 
+        // Take off how far the elements it is in (a panel with overflow: auto say) have been scrolled
+        for (node = node.parentNode; node && node != document.body && node.nodeType == 1; node = node.parentNode) {
+            left -= node.scrollLeft;
+            top  -= node.scrollTop;
+        }
+
         return {
             x: left,
             y: top
         };
     },
+    /** Keep scrolling while the pointer is near an edge of the scroll container, even if it stays still */
     autoScroll: function (mousePos) {
-      var config       = this.currentTable.tableDnDConfig,
-          yOffset      = window.pageYOffset,
-          windowHeight = window.innerHeight
-            ? window.innerHeight
-            : document.documentElement.clientHeight
-            ? document.documentElement.clientHeight
-            : document.body.clientHeight;
-
-        // Windows version
-        // yOffset=document.body.scrollTop;
-        if (document.all)
-            if (typeof document.compatMode != 'undefined'
-                && document.compatMode != 'BackCompat')
-                yOffset = document.documentElement.scrollTop;
-            else if (typeof document.body != 'undefined')
-                yOffset = document.body.scrollTop;
-
-        mousePos.y - yOffset < config.scrollAmount
-            && window.scrollBy(0, - config.scrollAmount)
-        || windowHeight - (mousePos.y - yOffset) < config.scrollAmount
-            && window.scrollBy(0, config.scrollAmount);
+        var self = this;
+
+        // Where the pointer is in the window, that doesn't change as the page scrolls
+        this.scrollPointer = {
+            x: mousePos.x - $(window).scrollLeft(),
+            y: mousePos.y - $(window).scrollTop()
+        };
+        this.config.scrollAmount
+            && !this.scrollFrame
+            && (this.scrollFrame = requestFrame(function () {
+                self.scrollStep();
+            }));
+    },
+    /** Scroll a frame's worth and move the row to whatever is under the pointer now */
+    scrollStep: function() {
+        var self      = this,
+            pointer   = this.scrollPointer,
+            container = this.scrollParent(),
+            isWindow  = container == window,
+            edges     = isWindow
+                ? {top: 0, left: 0, bottom: $(window).height(), right: $(window).width()}
+                : container.getBoundingClientRect(),
+            x         = this.scrollSpeed(pointer.x, edges.left, edges.right),
+            y         = this.scrollSpeed(pointer.y, edges.top, edges.bottom),
+            scroller  = isWindow ? $(window) : $(container),
+            scrolled  = {left: scroller.scrollLeft(), top: scroller.scrollTop()};
+
+        this.scrollFrame = null;
+        if (!this.dragObject || !x && !y)
+            return null;
+
+        isWindow
+            ? window.scrollBy(x, y)
+            : scroller.scrollLeft(scrolled.left + x).scrollTop(scrolled.top + y);
+
+        // Stop when it can't scroll any further that way, the next move will try again
+        if (scroller.scrollLeft() == scrolled.left && scroller.scrollTop() == scrolled.top)
+            return null;
+
+        if (!isWindow) {
+            this.scrolled.x += scroller.scrollLeft() - scrolled.left;
+            this.scrolled.y += scroller.scrollTop() - scrolled.top;
+        }
+
+        // The rows have moved under the pointer
+        this.dragTo({
+            x: pointer.x + $(window).scrollLeft(),
+            y: pointer.y + $(window).scrollTop()
+        });
+        this.scrollFrame = requestFrame(function () {
+            self.scrollStep();
+        });
+    },
+    /** How many pixels to scroll by with the pointer at position between the edges start and end, negative
+     near start, faster the closer it is to the edge */
+    scrollSpeed: function(position, start, end) {
+        var amount = this.config.scrollAmount,
+            zone   = this.config.scrollZone;
+
+        return position < start + zone
+            ? - Math.ceil(amount * Math.min(1, (start + zone - position) / zone))
+            : position > end - zone
+            ? Math.ceil(amount * Math.min(1, (position - end + zone) / zone))
+            : 0;
+    },
+    /** The scrollContainer, or the nearest element that scrolls around the table the row is in, or the window */
+    scrollParent: function() {
+        var container = this.config.scrollContainer;
+
+        if (container)
+            return $(container)[0];
+
+        container = $(this.placeholder || this.dragObject).closest('table').parents().filter(function () {
+            var overflow = $(this).css('overflow') + $(this).css('overflow-x') + $(this).css('overflow-y');
+
+            return /auto|scroll/.test(overflow)
+                && (this.scrollHeight > this.clientHeight || this.scrollWidth > this.clientWidth);
+        })[0];
+
+        return container && container != document.body && container != document.documentElement
+            ? container
+            : window;
+    },
+    /** The tables the rows of this table may be dropped into, this table included */
+    connectedTables: function() {
+        var connectWith = this.config.connectWith,
+            group       = this.connectGroup,
+            tables      = [this.table];
+
+        if (!connectWith)
+            return tables;
+
+        // All the tables in the same group
+        if (group) {
+            $('table').each(function() {
+                var instance = $.tableDnD.instance(this);
+                instance
+                    && this != tables[0]
+                    && instance.connectGroup === group
+                    && tables.push(this);
+            });
+            return tables;
+        }
 
+        // Or whatever the selector finds
+        return $(tables).add($(connectWith).closest('table')).get();
+    },
+    /**
+     * A plain name in connectWith is a group name, anything else is a selector. That is tried straight away,
+     * so that a bad one fails when the option is set rather than on every move
+     */
+    groupName: function(connectWith) {
+        if (typeof connectWith == 'string' && /^[\w-]+$/.test(connectWith))
+            return connectWith;
+
+        connectWith
+            && $(connectWith);
+        return null;
+    },
+    /** Find the table the pointer is over, if it isn't over a connected table it's the one the row is in now */
+    findDropTargetTable: function(mousePos) {
+        var self     = this,
+            rowTable = $(this.placeholder || this.dragObject).closest('table')[0],
+            target   = rowTable;
+
+        $.each(this.connectedTables(), function(i, table) {
+            if (table != rowTable && self.isOver(table, mousePos)) {
+                target = table;
+                return false;
+            }
+        });
+
+        return target;
+    },
+    /** Is the pointer over the element */
+    isOver: function(element, mousePos) {
+        var pos = this.getPosition(element);
+
+        return mousePos.x >= pos.x && mousePos.x <= pos.x + element.offsetWidth
+            && mousePos.y >= pos.y && mousePos.y <= pos.y + element.offsetHeight;
+    },
+    /**
+     * An empty connected table has no rows to be over, so the row goes straight into its (first) body. Nor has
+     * an empty tbody that rows may go into, the row goes there once the pointer is within a row's height of it
+     */
+    moveIntoEmpty: function (table, mousePos) {
+        var self   = this,
+            config = this.config,
+            row    = this.placeholder || this.dragObject,
+            own    = table == $(row).closest('table')[0],
+            body;
+
+        if (!own && !$(table.tBodies).children('tr').length)
+            body = table.tBodies[0] || table.appendChild(document.createElement('tbody'));
+        else if (!own || config.connectBodies)
+            body = $.grep(table.tBodies, function (body) {
+                return body != row.parentNode
+                    && !$(body).children('tr').length
+                    && Math.abs(self.getPosition(body).y - mousePos.y) < row.offsetHeight;
+            })[0];
+
+        if (!body
+            || config.onAllowDrop
+                && !config.onAllowDrop(this.dragObject, null, table))
+            return null;
+
+        this.moveRow(body, null);
     },
     moveVerticle: function (moving, currentRow) {
+        var dragObject = this.placeholder || this.dragObject;
+
+        // Over a row in another table (or another tbody, if rows may go there), go in front of it, or after it
+        // when we're heading down
+        if (currentRow
+            && ($(currentRow).closest('table')[0] != $(dragObject).closest('table')[0]
+                || this.config.connectBodies && currentRow.parentNode != dragObject.parentNode))
+            return this.moveRow(
+                currentRow.parentNode,
+                0 > moving.vertical ? this.after(currentRow) : currentRow
+            );
 
         if (0 != moving.vertical
             // If we're over a row then move the dragged row to there so that the user sees the
             // effect dynamically
             && currentRow
-            && this.dragObject != currentRow
-            && this.dragObject.parentNode == currentRow.parentNode)
+            && dragObject != currentRow
+            && dragObject.parentNode == currentRow.parentNode)
             0 > moving.vertical
-                && this.dragObject.parentNode.insertBefore(this.dragObject, currentRow.nextSibling)
+                && this.moveRow(currentRow.parentNode, this.after(currentRow))
             || 0 < moving.vertical
-                && this.dragObject.parentNode.insertBefore(this.dragObject, currentRow);
+                && this.moveRow(currentRow.parentNode, currentRow);
 
     },
     moveHorizontal: function (moving, currentRow) {
-        var config       = this.currentTable.tableDnDConfig,
+        var config       = this.config,
             currentLevel;
 
         if (!config.hierarchyLevel
             || 0 == moving.horizontal
             // We only care if moving left or right on the current row
             || !currentRow
-            || this.dragObject != currentRow)
+            || (this.placeholder || this.dragObject) != currentRow)
                 return null;
 
             currentLevel = $(currentRow).data('level');
 
             0 < moving.horizontal
                 && currentLevel > 0
-                && $(currentRow).find('td:first').children(':first').remove()
-                && $(currentRow).data('level', --currentLevel);
+                && this.allowLevel(this.dragObject, currentLevel - 1, currentRow)
+                && this.changeLevel(currentRow, currentLevel - 1);
 
+            // The deepest row of the subtree mustn't go past the last level
             0 > moving.horizontal
-                && currentLevel < config.hierarchyLevel
+                && currentLevel + this.subtreeDepth < config.hierarchyLevel
                 && $(currentRow).prev().data('level') >= currentLevel
-                && $(currentRow).children(':first').prepend(config.indentArtifact)
-                && $(currentRow).data('level', ++currentLevel);
+                && this.allowLevel(this.dragObject, currentLevel + 1, currentRow)
+                && this.changeLevel(currentRow, currentLevel + 1);
 
     },
+    /**
+     * Whether a row may have a level at the place of another row (the placeholder for instance), going by the
+     * data-maxlevel of the row and its subtree, the data-leaf of the parent it gets there and onAllowIndent,
+     * which isn't asked when rulesOnly is set
+     */
+    allowLevel: function (row, level, at, rulesOnly) {
+        var config  = this.config,
+            shift   = level - ($(row).data('level') || 0),
+            parent  = level ? this.parentAt(at || row, level) : null,
+            subtree = $.merge([row], row == this.dragObject ? this.subtree : []);
+
+        if (level > config.hierarchyLevel)
+            return false;
+
+        // The subtree moves along, so it mustn't go past its own limits either
+        if ($.grep(subtree, function (item) {
+                var maxLevel = $(item).data('maxlevel');
+                return maxLevel !== undefined
+                    && (item == row ? level : ($(item).data('level') || 0) + shift) > maxLevel;
+            }).length)
+            return false;
+
+        if (parent && this.isLeaf(parent))
+            return false;
+
+        return rulesOnly
+            || !config.onAllowIndent
+            || config.onAllowIndent(row, parent || null, level) !== false;
+    },
+    /** The row a row would have as its parent at the place of another with the level, the dragged rows don't count */
+    parentAt: function (at, level) {
+        return $(at).prevAll('tr').not(at == this.placeholder ? this.dragRows : []).filter(function () {
+            return ($(this).data('level') || 0) < level;
+        })[0];
+    },
+    /** The id of the parent of a row (or the placeholder) through serializeRegexp, null at the top level */
+    parentId: function (row) {
+        var level  = $(row).data('level') || 0,
+            parent = this.config.hierarchyLevel && level && this.parentAt(row, level);
+
+        return parent && this.serializeId(parent.id) || null;
+    },
+    /** A row with data-leaf (but not data-leaf="false") can't have children */
+    isLeaf: function (row) {
+        var leaf = $(row).attr('data-leaf');
+        return leaf !== undefined && leaf !== 'false';
+    },
     mousemove: function(e) {
-        var dragObj      = $($.tableDnD.dragObject),
-            config       = $.tableDnD.currentTable.tableDnDConfig,
-            currentRow,
-            mousePos,
-            moving,
-            x,
-            y;
+        var self = this,
+            mousePos;
 
         e && e.preventDefault();
 
-        if (!$.tableDnD.dragObject)
+        if (!this.dragObject)
             return false;
 
-        // prevent touch device screen scrolling
-        e.type == 'touchmove'
-            && event.preventDefault(); // TODO verify this is event and not really e
+        mousePos = this.mouseCoords(e);
+
+        // A large table only follows the pointer once per frame, the last position wins
+        if (this.table.rows.length >= this.config.largeTable) {
+            this.movePos = mousePos;
+            this.moveFrame
+                || (this.moveFrame = requestFrame(function () {
+                    self.moveFrame = null;
+                    self.dragObject
+                        && self.dragTo(self.movePos);
+                }));
+        }
+        else
+            this.dragTo(mousePos);
+
+        // auto scroll the page or the panel the table is in
+        this.autoScroll(mousePos);
+
+        return false;
+    },
+    /** Make the move that is waiting for the next frame straight away */
+    flushMove: function() {
+        if (!this.moveFrame)
+            return null;
+
+        cancelFrame(this.moveFrame);
+        this.moveFrame = null;
+        this.dragTo(this.movePos);
+    },
+    /** Move the dragged row to where the pointer is */
+    dragTo: function(mousePos) {
+        var dragObj = $(this.dragObject),
+            x       = mousePos.x - this.mouseOffset.x,
+            y       = mousePos.y - this.mouseOffset.y,
+            currentRow,
+            moving,
+            table;
+
+        this.mousePos = mousePos;
 
         // update the style to show we're dragging
+        this.showDragging(mousePos);
+        this.moveHelper(mousePos);
+
+        table      = this.findDropTargetTable(mousePos);
+        currentRow = this.findDropTargetRow(dragObj, y, table);
+        // A scrolled panel moves the rows under a pointer that stays put
+        moving = this.findDragDirection(x + this.scrolled.x, y + this.scrolled.y);
+
+        currentRow
+            || this.moveIntoEmpty(table, mousePos);
+        this.moveVerticle(moving, currentRow);
+        this.moveHorizontal(moving, currentRow);
+
+        this.dragRows.length > 1
+            && !this.placeholder
+            && this.gatherBlock();
+
+        this.hoverExpand(currentRow);
+    },
+    /** Show that the rows are being dragged, on the first move or when the keyboard picks them up */
+    showDragging: function(mousePos) {
+        var config   = this.config,
+            dragRows = $(this.dragRows);
+
+        if (this.dragging)
+            return null;
+        this.dragging = true;
+
+        // The keyboard has no pointer to follow
+        mousePos
+            && (config.helper || config.mode == 'indicator')
+            && this.makeHelper(mousePos);
+
+        if (config.mode == 'indicator') {
+            this.makePlaceholder();
+            dragRows.css(config.dimmedStyle);
+            return null;
+        }
+
         config.onDragClass
-            && dragObj.addClass(config.onDragClass)
-            || dragObj.css(config.onDragStyle);
+            && dragRows.addClass(config.onDragClass)
+            || dragRows.css(config.onDragStyle);
+        this.dragRows.length > 1
+            && this.gatherBlock();
+    },
+    /** Put the placeholder in front of the dragged rows, in indicator mode it's what moves around */
+    makePlaceholder: function() {
+        var config      = this.config,
+            row         = this.dragObject,
+            placeholder = $($.isFunction(config.placeholder) ? config.placeholder(row) : config.placeholder)[0];
+
+        // A single cell spans the whole row
+        placeholder.cells.length == 1
+            && !$(placeholder.cells[0]).attr('colspan')
+            && $(placeholder.cells[0]).attr('colspan', row.cells.length);
+
+        this.dragRows[0].parentNode.insertBefore(placeholder, this.dragRows[0]);
+        this.placeholder = placeholder;
+        this.geometry    = [];
+        // The placeholder always gets a level, setLevel() would leave it without one at level 0
+        if (config.hierarchyLevel) {
+            $(placeholder).data('level', $(row).data('level') || 0);
+            this.showLevel(placeholder, $(placeholder).data('level'), 0);
+        }
+    },
+    /** Take the placeholder away, moving the dragged rows to where it is if the drop goes ahead */
+    removePlaceholder: function(commit) {
+        var placeholder = this.placeholder,
+            dimmedStyle = {};
 
-        mousePos = $.tableDnD.mouseCoords(e);
-        x = mousePos.x - $.tableDnD.mouseOffset.x;
-        y = mousePos.y - $.tableDnD.mouseOffset.y;
+        if (!placeholder)
+            return null;
 
-        // auto scroll the window
-        $.tableDnD.autoScroll(mousePos);
+        if (commit) {
+            $.each(this.dragRows, function (i, row) {
+                placeholder.parentNode.insertBefore(row, placeholder);
+            });
+            this.config.hierarchyLevel
+                && this.levelSubtree($(placeholder).data('level') || 0);
+        }
 
-        currentRow = $.tableDnD.findDropTargetRow(dragObj, y);
-        moving = $.tableDnD.findDragDirection(x, y);
+        $.each(this.config.dimmedStyle || {}, function (name) {
+            dimmedStyle[name] = '';
+        });
+        $(this.dragRows).css(dimmedStyle);
+        $(placeholder).remove();
+        this.placeholder = null;
+    },
+    /** A copy of the dragged rows in a table of their own (or what the helper option renders), that follows
+     the pointer */
+    makeHelper: function(mousePos) {
+        var config = this.config,
+            body   = $('<tbody/>'),
+            helper;
+
+        $.isFunction(config.helper)
+            || $.each(this.dragRows, function (i, row) {
+            var clone = $(row).clone();
+
+            clone.find('[id]').removeAttr('id');
+            // Keep the columns as wide as they are in the table
+            clone.removeAttr('id').children().each(function (j) {
+                $(this).css({width: $(row.cells[j]).width()});
+            });
+            config.onDragClass
+                && clone.addClass(config.onDragClass)
+                || clone.css(config.onDragStyle);
+            body.append(clone);
+        });
 
-        $.tableDnD.moveVerticle(moving, currentRow);
-        $.tableDnD.moveHorizontal(moving, currentRow);
+        helper = $.isFunction(config.helper)
+            ? $('<div/>').append(config.helper(this.dragRows, this.table))
+            : $('<table/>').attr('class', this.table.className).append(body);
 
-        return false;
+        // It mustn't get in the way of finding what is under the pointer
+        this.helper = helper
+            .addClass('tDnD_helper')
+            .css({position: 'absolute', zIndex: 1000, margin: 0, pointerEvents: 'none'})
+            .appendTo('body')[0];
+        this.moveHelper(mousePos);
+    },
+    /** Keep the helper where the dragged row would be, relative to the pointer */
+    moveHelper: function(mousePos) {
+        this.helper
+            && $(this.helper).css({
+                left: mousePos.x - this.helperOffset.x,
+                top:  mousePos.y - this.helperOffset.y
+            });
+    },
+    removeHelper: function() {
+        $(this.helper).remove();
+        this.helper = null;
     },
     findDragDirection: function (x,y) {
-        var sensitivity = this.currentTable.tableDnDConfig.sensitivity,
+        var sensitivity = this.config.sensitivity,
             oldX        = this.oldX,
             oldY        = this.oldY,
             xMin        = oldX - sensitivity,
@@ -461,11 +2271,39 @@ window.jQuery.tableDnD = {
 
         return moving;
     },
-    /** We're only worried about the y position really, because we can only move rows up and down */
-    findDropTargetRow: function(draggedRow, y) {
+    /** We're only worried about the y position really, because we can only move rows up and down.
+     The table to look in defaults to our own */
+    findDropTargetRow: function(draggedRow, y, table) {
+        var config = this.config,
+            rows   = (table || this.table).rows,
+            row    = rows.length >= config.largeTable
+                ? this.rowAt(y, table || this.table)
+                : this.scanRows(y, rows);
+
+        // that's the row we're over
+        // If it's the same as the current row, ignore it
+        if (!row
+            || row == draggedRow
+            // The other rows of a block move along with the dragged row
+            || row != this.dragObject && $.inArray(row, this.dragRows) != -1
+            || (config.onAllowDrop
+            && !config.onAllowDrop(draggedRow, row, table || this.table))
+            // If a row has nodrop class, then don't allow dropping (inspired by John Tarr and Famic)
+            || $(row).hasClass("nodrop")
+            // Nor on the header and footer rows
+            || this.isFixed(row))
+                return null;
+
+        return row;
+    },
+    /** Whether the row is in the thead or tfoot, those rows stay where they are unless headerRows is set */
+    isFixed: function(row) {
+        return !this.config.headerRows
+            && /^T(HEAD|FOOT)$/.test(row.parentNode.tagName);
+    },
+    /** The row whose top edge y is near, measuring the rows one by one */
+    scanRows: function(y, rows) {
         var rowHeight = 0,
-            rows      = this.currentTable.rows,
-            config    = this.currentTable.tableDnDConfig,
             rowY      = 0,
             row       = null;
 
@@ -479,87 +2317,348 @@ window.jQuery.tableDnD = {
             }
             // Because we always have to insert before, we need to offset the height a bit
             if (y > (rowY - rowHeight) && y < (rowY + rowHeight))
-                // that's the row we're over
-                // If it's the same as the current row, ignore it
-                if (row == draggedRow
-                    || (config.onAllowDrop
-                    && !config.onAllowDrop(draggedRow, row))
-                    // If a row has nodrop class, then don't allow dropping (inspired by John Tarr and Famic)
-                    || $(row).hasClass("nodrop"))
-                        return null;
-                else
-                    return row;
+                return row;
         }
         return null;
     },
-    processMouseup: function() {
-        var config      = this.currentTable.tableDnDConfig,
-            droppedRow  = this.dragObject,
+    /** Automatic clean-up of the levels after a drop, to ensure relationship integrity */
+    cleanRelations: function() {
+        var self        = this,
+            table       = this.table,
+            config      = this.config,
             parentLevel = 0,
             myLevel     = 0;
 
-        if (!this.currentTable || !droppedRow)
+        config.hierarchyLevel
+            && config.autoCleanRelations
+            && $(table.rows).each(function (i) {
+                myLevel = $(this).data('level') || 0;
+                if (myLevel > 0) {
+                    // The first row can't be indented at all
+                    parentLevel = i ? $(this).prev().data('level') || 0 : -1;
+                    // Outdent until the row is right under a row
+                    while (myLevel > parentLevel + 1)
+                        myLevel--;
+                    self.treeLevel(this, myLevel);
+                }
+            });
+    },
+    /** Ask the table the rows were dropped in whether they may have their new parents and levels there */
+    allowDrop: function(drop) {
+        var target = drop.target || this;
+
+        return !target.config.hierarchyLevel
+            || !$.grep(drop.rows, function (row) {
+                var level = $(row).data('level') || 0;
+                // Rows that stayed under another dropped row kept their parent
+                return level
+                    && $.inArray(target.parentAt(row, level), drop.rows) == -1
+                    && !target.allowLevel(row, level);
+            }).length;
+    },
+    /** Whether every row of the table is under a row that can have children and within its data-maxlevel */
+    keepsRules: function() {
+        var self = this;
+
+        return !this.config.hierarchyLevel
+            || !$.grep(this.table.tBodies, function (body) {
+                var parents = [];
+
+                return $.grep($(body).children('tr').get(), function (row) {
+                    var level    = $(row).data('level') || 0,
+                        maxLevel = $(row).data('maxlevel'),
+                        i        = level - 1;
+
+                    // The parent is the nearest row above with a lower level
+                    while (i >= 0 && !parents[i])
+                        i--;
+                    parents[level] = row;
+                    parents.length = level + 1;
+
+                    return level
+                        && (maxLevel !== undefined && level > maxLevel || i >= 0 && self.isLeaf(parents[i]));
+                }).length;
+            }).length;
+    },
+    /** Finish the drag, if it was cancelled the rows have been put back and onDragCancel is called instead of onDrop */
+    processMouseup: function(cancelled) {
+        var self        = this,
+            table       = this.table,
+            config      = this.config,
+            droppedRow  = this.dragObject,
+            droppedRows = this.dragRows,
+            drop,
+            settle,
+            result;
+
+        if (!droppedRow)
             return null;
 
         // Unbind the event handlers
         $(document)
             .unbind(moveEvent, this.mousemove)
-            .unbind(endEvent,  this.mouseup);
-
-        config.hierarchyLevel
-            && config.autoCleanRelations
-            && $(this.currentTable.rows).first().find('td:first').children().each(function () {
-                myLevel = $(this).parents('tr:first').data('level');
-                myLevel
-                    && $(this).parents('tr:first').data('level', --myLevel)
-                    && $(this).remove();
-            })
-            && config.hierarchyLevel > 1
-            && $(this.currentTable.rows).each(function () {
-                myLevel = $(this).data('level');
-                if (myLevel > 1) {
-                    parentLevel = $(this).prev().data('level');
-                    while (myLevel > parentLevel + 1) {
-                        $(this).find('td:first').children(':first').remove();
-                        $(this).data('level', --myLevel);
-                    }
-                }
-            });
+            .unbind(endEvent,  this.mouseup)
+            .unbind('keydown', this.escape)
+            .unbind('selectstart.tableDnD dragstart.tableDnD', false);
+        document.removeEventListener('touchmove', this.preventScroll, false);
+        cancelFrame(this.scrollFrame);
+        cancelFrame(this.moveFrame);
+        clearTimeout(this.hoverTimer);
+        this.scrollFrame = null;
+        this.moveFrame   = null;
+        this.hoverRow    = null;
+
+        // In indicator mode this is when the rows actually move
+        settle = !cancelled
+            && this.animationSettings()
+            && this.settlePositions();
+        this.removePlaceholder(!cancelled);
+        this.removeHelper();
+        settle
+            && this.animateRows(settle);
+
+        // The row may have been dropped into a connected table
+        drop = {
+            table:       table,
+            targetTable: $(droppedRow).closest('table')[0],
+            row:         droppedRow,
+            rows:        droppedRows,
+            snapshot:    this.snapshot
+        };
+        drop.target = $.tableDnD.instance(drop.targetTable);
+
+        // The clean-up may change the levels of the rows of the other table too, a refused drop puts them back
+        drop.target
+            && drop.target != this
+            && (drop.targetSnapshot = $.map(drop.targetTable.rows, function (row) {
+                return $.inArray(row, droppedRows) == -1
+                    ? {row: row, parent: row.parentNode, level: $(row).data('level')}
+                    : null;
+            }));
+
+        // The rules of the rows are checked as they were dropped, before the clean-up touches any levels, so
+        // that no row of either table quietly loses its level to get round them
+        drop.allowed = cancelled
+            || this.keepsRules() && (!drop.target || drop.target.keepsRules());
+
+        this.cleanRelations();
+        drop.target
+            && drop.target != this
+            && drop.target.cleanRelations();
 
         // If we have a dragObject, then we need to release it,
         // The row will already have been moved to the right place so we just reset stuff
         config.onDragClass
-            && $(droppedRow).removeClass(config.onDragClass)
-            || $(droppedRow).css(config.onDropStyle);
+            && $(droppedRows).removeClass(config.onDragClass)
+            || $(droppedRows).css(config.onDropStyle);
+
+        drop.changed = this.originalOrder != this.currentOrder();
+        drop.detail  = this.eventDetail(droppedRow, droppedRows);
+
+        // Pressing a selected row without dragging it is a click, that selects just that row
+        this.clickedRow
+            && !drop.changed
+            && $(table.rows).removeClass(config.selectedClass)
+                .filter(this.clickedRow).addClass(config.selectedClass);
+
+        this.dragObject   = null;
+        this.dragRows     = [];
+        this.subtree      = [];
+        this.clickedRow   = null;
+        this.keyboardDrag = false;
+        this.dragging     = false;
+        this.snapshot     = null;
+        this.mousePos     = null;
+        this.geometry     = [];
+        $.tableDnD.dragObject == droppedRow
+            && ($.tableDnD.dragObject = null);
+
+        // Ask whether the new order may stay, the answer can be false or a promise of one
+        if (cancelled || !drop.changed)
+            result = !cancelled;
+        // The hierarchy rules, onAllowIndent on the cleaned up levels and a tablednd:beforedrop handler can
+        // refuse it straight away
+        else if (!drop.allowed || !this.allowDrop(drop) || !this.trigger('beforedrop', drop.detail))
+            result = false;
+        else
+            result = config.onBeforeDrop
+                ? config.onBeforeDrop(drop.targetTable, droppedRow, {rows: droppedRows, from: table, to: drop.targetTable})
+                : true;
+
+        if (result && $.isFunction(result.then)) {
+            // No more dragging on this table, or the one the rows went into, until we know
+            this.pending = true;
+            drop.target
+                && (drop.target.pending = true);
+            $(droppedRows).addClass(config.pendingClass);
+            result.then(
+                function (allowed) {
+                    self.finishDrop(drop, allowed !== false);
+                },
+                function () {
+                    self.finishDrop(drop, false);
+                }
+            );
+        }
+        else
+            this.finishDrop(drop, result !== false);
 
-        this.dragObject = null;
-        // Call the onDrop method if there is one
-        config.onDrop
-            && this.originalOrder != this.currentOrder()
-            && $(droppedRow).hide().fadeIn('fast')
-            && config.onDrop(this.currentTable, droppedRow);
+        // let go of the table too
+        $.tableDnD.currentTable == table
+            && ($.tableDnD.currentTable = null);
+    },
+    /** Call the callbacks for the end of a drag, if the drop wasn't accepted the rows go back where they were */
+    finishDrop: function(drop, accepted) {
+        var config  = this.config,
+            current = $.tableDnD.currentTable;
+
+        if (this.pending) {
+            this.pending = false;
+            drop.target
+                && (drop.target.pending = false);
+            $(drop.rows).removeClass(config.pendingClass);
+        }
+
+        // For callbacks that use $.tableDnD.serialize() and the like
+        $.tableDnD.currentTable = drop.table;
+
+        if (!accepted) {
+            drop.changed
+                && this.restore(drop.snapshot);
+            drop.changed
+                && drop.targetSnapshot
+                && drop.target.restore(drop.targetSnapshot);
+            this.refreshTrees(drop);
+            config.onDragCancel
+                && config.onDragCancel(drop.table, drop.row);
+            this.trigger('cancel', this.eventDetail(drop.row, drop.rows));
+        }
+        else {
+            // Don't let the rows disappear under a collapsed row
+            drop.target
+                && drop.target.config.collapsible
+                && drop.target.reveal(drop.row);
+            this.refreshTrees(drop);
+
+            // Let both tables know when the row went from one to the other
+            if (drop.targetTable != drop.table) {
+                config.onRemove
+                    && config.onRemove(drop.table, drop.row, drop.targetTable);
+                drop.target
+                    && drop.target.config.onReceive
+                    && drop.target.config.onReceive(drop.targetTable, drop.row, drop.table);
+            }
+
+            // Work out what changed, so that just that can be sent to the server
+            if (drop.changed) {
+                lastMove = drop.detail.move = this.move = this.moveDelta(drop);
+                drop.target
+                    && (drop.target.move = lastMove);
+            }
 
-        this.currentTable = null; // let go of the table too
+            // Call the onDrop method if there is one, the rows fade in unless they slid into place
+            if (config.onDrop && drop.changed) {
+                this.animationSettings()
+                    || $(drop.rows).hide().fadeIn('fast');
+                config.onDrop(drop.targetTable, drop.row, drop.rows, lastMove);
+            }
+            drop.changed
+                && this.trigger('drop', drop.detail);
+        }
+
+        $.tableDnD.currentTable = current == drop.table ? null : current;
+    },
+    /** What a drop changed: where the row went from and to, and the rows it landed between */
+    moveDelta: function(drop) {
+        var target  = drop.target || this,
+            detail  = drop.detail,
+            rows    = target.bodyRows(),
+            indexes = $.map(drop.rows, function (row) {
+                return $.inArray(row, rows);
+            }),
+            first   = Math.min.apply(Math, indexes),
+            last    = Math.max.apply(Math, indexes),
+            id      = function (row) {
+                return row && target.serializeId(row.id) || null;
+            };
+
+        return {
+            id:        id(drop.row),
+            ids:       $.map(drop.rows, id),
+            oldTable:  drop.table.id || null,
+            newTable:  drop.targetTable.id || null,
+            oldIndex:  detail.oldIndex,
+            newIndex:  detail.newIndex,
+            oldParent: detail.oldParent,
+            newParent: detail.newParent,
+            oldLevel:  detail.oldLevel,
+            newLevel:  detail.newLevel,
+            before:    id(rows[first - 1]),
+            after:     id(rows[last + 1])
+        };
+    },
+    /** What the latest drop into or out of this table changed, as an object or as 'params' or 'json' */
+    lastMove: function(format) {
+        return formatMove(this.move, format);
+    },
+    /** The rows may have gone into or out of collapsed branches, and to other parents, in either table */
+    refreshTrees: function(drop) {
+        this.refreshTree();
+        this.updateParents();
+        if (drop.target && drop.target != this) {
+            drop.target.refreshTree();
+            drop.target.updateParents();
+        }
     },
     mouseup: function(e) {
+        var self = this;
+
         e && e.preventDefault();
-        $.tableDnD.processMouseup();
+        this.flushMove();
+
+        // The browser took the pointer away, to scroll say
+        if (e && /cancel$/.test(e.type))
+            this.cancel();
+        // The position of the last move, touchend doesn't have one
+        else if (this.config.revertOnOutsideDrop
+            && this.mousePos
+            && !$.grep(this.connectedTables(), function (table) {
+                return self.isOver(table, self.mousePos);
+            }).length)
+            this.cancel();
+        else
+            this.processMouseup();
         return false;
     },
-    jsonize: function(pretify) {
-        var table = this.currentTable;
+    /** Escape cancels a mouse or touch drag */
+    escape: function(e) {
+        if (e.which == 27) {
+            this.cancel();
+            return false;
+        }
+    },
+    /** Abandon the drag in progress and put everything back the way it was */
+    cancel: function() {
+        if (!this.dragObject)
+            return;
+
+        this.restore(this.snapshot);
+        this.processMouseup(true);
+    },
+    jsonize: function(pretify, format) {
         if (pretify)
             return JSON.stringify(
-                this.tableData(table),
+                this.tableData(format),
                 null,
-                table.tableDnDConfig.jsonPretifySeparator
+                this.config.jsonPretifySeparator
             );
-        return JSON.stringify(this.tableData(table));
+        return JSON.stringify(this.tableData(format));
     },
     serialize: function() {
-        return $.param(this.tableData(this.currentTable));
+        return $.param(this.tableData());
     },
-    serializeTable: function(table) {
+    serializeTable: function() {
+        var table = this.table;
         var result = "";
         var paramName = table.tableDnDConfig.serializeParamName || table.id;
         var rows = table.rows;
@@ -573,41 +2672,207 @@ window.jQuery.tableDnD = {
         }
         return result;
     },
-    serializeTables: function() {
-        var result = [];
-        $('table').each(function() {
-            this.id && result.push($.param(this.tableData(this)));
+    /** The order of the rows, format ('map', 'tree' or 'parents') is given as is or as {format: ...} */
+    tableData: function (options) {
+        var self   = this,
+            table  = this.table,
+            config = this.config,
+            format = (typeof options == 'string' ? options : options && options.format) || 'map',
+            data   = {},
+            paramName;
+
+        if (!table.id || !table.rows || !table.rows.length)
+            return {error: { code: 500, message: "Not a valid table, no serializable unique id provided."}};
+
+        paramName = config.serializeParamName || table.id;
+
+        // Every tbody on its own, under its id or else the table's name and its index
+        if (config.serializeBodies)
+            $.each(table.tBodies, function (i, body) {
+                var rows = $(body).children('tr').get(),
+                    key  = body.id || paramName + '[' + i + ']';
+
+                format == 'map'
+                    ? self.rowsData(rows, key, data)
+                    : data[key] = self.rowsTree(rows, format);
+            });
+        else if (format == 'map')
+            this.rowsData(this.bodyRows(), paramName, data);
+        else
+            data = this.rowsTree(this.bodyRows(), format);
+
+        return data;
+    },
+    /** The rows that can be moved, leaving out the header and footer rows */
+    bodyRows: function () {
+        var self = this;
+
+        return $(this.table.rows).filter(function () {
+            return !self.isFixed(this);
+        }).get();
+    },
+    /** The ids of the rows nested as [{id, children}], or listed as [{id, parent, position, level}] in parents format */
+    rowsTree: function (rows, format) {
+        var self    = this,
+            config  = this.config,
+            roots   = [],
+            list    = [],
+            parents = [];
+
+        $.each(rows, function (i, row) {
+            var id    = self.serializeId(row.id),
+                level = config.hierarchyLevel && $(row).data('level') || 0,
+                node  = {id: id, children: []},
+                parent;
+
+            // Rows without an id are left out, their children go to the row above them that has one
+            if (!id)
+                return;
+
+            while (parents.length && parents[parents.length - 1].level >= level)
+                parents.pop();
+            parent = parents[parents.length - 1];
+
+            list.push({
+                id:       id,
+                parent:   parent ? parent.node.id : null,
+                position: (parent ? parent.node.children : roots).length,
+                level:    level
+            });
+            (parent ? parent.node.children : roots).push(node);
+            parents.push({node: node, level: level});
         });
-        return result.join('&');
+
+        return format == 'parents' ? list : roots;
     },
-    tableData: function (table) {
-        var config = table.tableDnDConfig,
+    /** Put the rows in a saved order, in any of the formats of tableData(), and report the ids that didn't match */
+    applyOrder: function (data) {
+        var self      = this,
+            table     = this.table,
+            config    = this.config,
+            paramName = config.serializeParamName || table.id,
+            rows      = this.bodyRows(),
+            byId      = {},
+            placed    = [],
+            missing   = [],
+            unknown   = [],
+            place;
+
+        typeof data == 'string'
+            && (data = JSON.parse(data));
+        data = data || [];
+        this.dragObject
+            && this.cancel();
+
+        $.each(rows, function (i, row) {
+            var id = self.serializeId(row.id);
+            id && !byId[id]
+                && (byId[id] = row);
+        });
+
+        // Every row goes to the end of its tbody (or of the given one) in turn, so they end up in order
+        place = function (entries, body) {
+            $.each(entries, function (i, entry) {
+                var row = byId[entry.id];
+
+                if (!row) {
+                    unknown.push(entry.id);
+                    return;
+                }
+                if ($.inArray(row, placed) != -1)
+                    return;
+
+                placed.push(row);
+                (body || row.parentNode).appendChild(row);
+                config.hierarchyLevel
+                    && self.treeLevel(row, Math.min(entry.level, config.hierarchyLevel));
+            });
+        };
+
+        if (config.serializeBodies && !$.isArray(data))
+            $.each(table.tBodies, function (i, body) {
+                var key = body.id || paramName + '[' + i + ']';
+                key in data
+                    && place(self.orderEntries(data[key], data), body);
+            });
+        else
+            place(this.orderEntries($.isArray(data) ? data : data[paramName], data));
+
+        $.each(rows, function (i, row) {
+            if ($.inArray(row, placed) != -1)
+                return;
+
+            row.id
+                && missing.push(self.serializeId(row.id));
+            row.parentNode.appendChild(row);
+            config.hierarchyLevel
+                && self.treeLevel(row, 0);
+        });
+
+        this.geometry = [];
+        this.cleanRelations();
+        this.refreshTree();
+        this.updateParents();
+
+        return {missing: missing, unknown: unknown};
+    },
+    /** The ids with their levels, depth first, of a list in the map, tree or parents format of tableData() */
+    orderEntries: function (list, map) {
+        var entries  = [],
+            seen     = {},
+            known    = {},
+            children = map && !$.isArray(map) ? map : {},
+            add;
+
+        // The parents format has every row with the id of its parent, they're put under it in order of position
+        if ($.isArray(list) && list[0] && typeof list[0] == 'object' && 'parent' in list[0]) {
+            children = {};
+            $.each(list, function (i, item) {
+                known[item.id] = true;
+            });
+            $.each(list.slice().sort(function (a, b) {
+                return (a.position || 0) - (b.position || 0);
+            }), function (i, item) {
+                var parent = item.parent != null && known[item.parent] ? String(item.parent) : '';
+                (children[parent] = children[parent] || []).push(item);
+            });
+            list = children[''];
+        }
+
+        // An id that turns up again (a loop in the order) is only placed the first time
+        add = function (items, level) {
+            $.each($.isArray(items) ? items : [], function (i, item) {
+                var id = item && typeof item == 'object' ? item.id : item;
+
+                if (id == null || seen[id = String(id)])
+                    return;
+                seen[id] = true;
+
+                entries.push({id: id, level: level});
+                add(item && item.children || children[id], level + 1);
+            });
+        };
+        add(list, 0);
+
+        return entries;
+    },
+    /** The part of a row id that serializeRegexp picks out */
+    serializeId: function (rowId) {
+        var config = this.config;
+
+        if (rowId && config && config.serializeRegexp)
+            return rowId.match(config.serializeRegexp)[0];
+        return rowId;
+    },
+    /** Add the ids of the rows to data under paramName, in hierarchy mode children go under their parent's id */
+    rowsData: function (rows, paramName, data) {
+        var config = this.config,
             previousIDs  = [],
             currentLevel = 0,
             indentLevel  = 0,
             rowID        = null,
-            data         = {},
-            getSerializeRegexp,
-            paramName,
-            currentID,
-            rows;
-
-        if (!table)
-            table = this.currentTable;
-        if (!table || !table.id || !table.rows || !table.rows.length)
-            return {error: { code: 500, message: "Not a valid table, no serializable unique id provided."}};
-
-        rows      = config.autoCleanRelations
-                        && table.rows
-                        || $.makeArray(table.rows);
-        paramName = config.serializeParamName || table.id;
-        currentID = paramName;
-
-        getSerializeRegexp = function (rowId) {
-            if (rowId && config && config.serializeRegexp)
-                return rowId.match(config.serializeRegexp)[0];
-            return rowId;
-        };
+            currentID    = paramName,
+            getSerializeRegexp = $.proxy(this.serializeId, this);
 
         data[currentID] = [];
         !config.autoCleanRelations
@@ -651,13 +2916,135 @@ window.jQuery.tableDnD = {
     }
 };
 
+/**
+ * The global entry point. It builds the per table controllers and keeps the old API working by
+ * handing calls on to the controller of the table concerned (or of the drag in progress).
+ */
+window.jQuery.tableDnD = {
+    /** The table of the latest drag, only kept for code that still reads it */
+    currentTable: null,
+    /** The row of the latest drag, only kept for code that still reads it */
+    dragObject: null,
+    /** The defaults used for every table */
+    defaults: defaults,
+    /** The controller class, exposed so it can be extended */
+    TableDnD: TableDnD,
+
+    /** Actually build the structure, or call a method on it if options is the name of one */
+    build: function(options) {
+        var args = Array.prototype.slice.call(arguments, 1),
+            result;
+
+        if (typeof options == 'string') {
+            this.each(function() {
+                var instance = $.tableDnD.instance(this),
+                    value;
+
+                if (!instance || !$.isFunction(instance[options]))
+                    return;
+                value = instance[options].apply(instance, args);
+                if (value === instance)
+                    return;
+                // Getters return the value of the first table as it is, null included, like jQuery itself does
+                if ($.inArray(options, getters) != -1) {
+                    result = {value: value};
+                    return false;
+                }
+                // The other methods are called on every table and hand back what the first one gave, if anything
+                value != null
+                    && !result
+                    && (result = {value: value});
+            });
+
+            return result ? result.value : this;
+        }
+
+        this.each(function() {
+            var instance = $.tableDnD.instance(this);
+            // This is bound to each matching table, it gets its own controller once
+            instance
+                ? instance.option(options || {})
+                : new TableDnD(this, options);
+        });
+
+        // Don't break the chain
+        return this;
+    },
+    /** Get the controller of a table (a DOM element or jQuery object) */
+    instance: function(table) {
+        table = table && table.jquery ? table[0] : table;
+        return table && $.data(table, 'tableDnD') || null;
+    },
+    initialiseDrag: function(dragObject, table, target, e) {
+        var instance = this.instance(table);
+        instance && instance.initialiseDrag(dragObject, target, e);
+    },
+    /** Cancel the drag in progress, of the given table or of the latest drag */
+    cancel: function(table) {
+        var instance = this.instance(table || this.currentTable);
+        instance && instance.cancel();
+    },
+    updateTables: function() {
+        this.each(function() {
+            // this is now bound to each matching table
+            var instance = $.tableDnD.instance(this);
+            instance && instance.update();
+        });
+
+        // Don't break the chain
+        return this;
+    },
+    mouseCoords: TableDnD.prototype.mouseCoords,
+    getMouseOffset: TableDnD.prototype.getMouseOffset,
+    getPosition: TableDnD.prototype.getPosition,
+    jsonize: function(pretify, table, format) {
+        var instance = this.instance(table || this.currentTable);
+        return instance && instance.jsonize(pretify, format);
+    },
+    serialize: function(table) {
+        var instance = this.instance(table || this.currentTable);
+        return instance ? instance.serialize() : '';
+    },
+    serializeTable: function(table) {
+        var instance = this.instance(table);
+        return instance ? instance.serializeTable() : '';
+    },
+    serializeTables: function() {
+        var result = [];
+        $('table').each(function() {
+            this.id && $.tableDnD.instance(this)
+                && result.push($.tableDnD.serialize(this));
+        });
+        return result.join('&');
+    },
+    /** What the latest drop changed, of any table or of the given one, as an object or as 'params' or 'json' */
+    lastMove: function (format, table) {
+        var instance = table && this.instance(table);
+        return table
+            ? instance && instance.lastMove(format) || null
+            : formatMove(lastMove, format);
+    },
+    tableData: function (table, options) {
+        var instance = this.instance(table || this.currentTable);
+        return instance
+            ? instance.tableData(options)
+            : {error: { code: 500, message: "Not a valid table, no serializable unique id provided."}};
+    }
+};
+
 window.jQuery.fn.extend(
     {
         tableDnD             : $.tableDnD.build,
         tableDnDUpdate       : $.tableDnD.updateTables,
-        tableDnDSerialize    : $.proxy($.tableDnD.serialize, $.tableDnD),
+        tableDnDSerialize    : function() {
+            return $.map(this.get(), function(table) {
+                return $.tableDnD.instance(table) && $.tableDnD.serialize(table) || null;
+            }).join('&');
+        },
         tableDnDSerializeAll : $.tableDnD.serializeTables,
-        tableDnDData         : $.proxy($.tableDnD.tableData, $.tableDnD)
+        tableDnDData         : function(options) {
+            return $.tableDnD.tableData(this[0], options);
+        }
     }
 );
 